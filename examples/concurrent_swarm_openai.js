@@ -1,29 +1,26 @@
-const { ChatOpenAI, HumanMessage, SystemMessage } = require('@langchain/openai');
-const ConcurrentSwarm = require('swarms-js');
+const { openai } = require('@ai-sdk/openai');
+const { ConcurrentSwarm, LLMAgent } = require('swarms-js');
 
-// Initialize the chat model
-const chatModel = new ChatOpenAI({
-  openAIApiKey: "your-openai-api-key",
-});
+// Set OPENAI_API_KEY in the environment; @ai-sdk/openai reads it from there
 
 // Create a swarm with a maximum of 10 concurrent threads
 const swarm = new ConcurrentSwarm(10);
 
-// Define the OpenAI logic as a function
-async function openAiLogic() {
-  const messages = [
-    new SystemMessage("You're a helpful assistant"),
-    new HumanMessage("Create the code for a snake game in python"),
-  ];
-
-  const response = await chatModel.invoke(messages);
-  console.log(response);
-}
-
-// Add 40 agents to the swarm
+// Add 40 agents to the swarm, all answering the same task
 for (let i = 0; i < 40; i++) {
-  swarm.addAgent(openAiLogic);
+  swarm.addAgent(new LLMAgent({
+    agentName: `Assistant ${i + 1}`,
+    model: openai('gpt-4o-mini'),
+    systemPrompt: "You're a helpful assistant",
+    temperature: 0.7
+  }));
 }
 
-// Perform the task
-swarm.performTask();
\ No newline at end of file
+// Perform the task and print every agent's response
+swarm.performTask('Create the code for a snake game in python')
+  .then((results) => {
+    for (const { agentName, result, error } of results) {
+      console.log(`${agentName}:`, result ?? error);
+    }
+  })
+  .finally(() => swarm.close());
@@ -1,19 +1,86 @@
-abstract class AgentBase {
-    protected task: any;
+import { AsyncLocalStorage } from 'async_hooks';
+import type { Agent } from './agent';
+
+// Partial result listeners of the executeStreaming() calls in progress, by agent, so concurrent
+// runs of one instance, or of an agent inside another agent's run, each reach their own caller
+const runListeners = new AsyncLocalStorage<Map<AgentBase, (chunk: unknown) => void>>();
+
+// TTask is the task the agent is given and TResult what execute() resolves to; swarms
+// carry both through to their results
+abstract class AgentBase<TTask = any, TResult = any> implements Agent<TTask, TResult> {
+    // Name swarms report the agent under, defaults to the class name
+    agentName: string;
+    protected task: TTask;
+    private partialListener?: (chunk: unknown) => void;
+    // Settles when the latest run() does, so runs of one instance do not overwrite each other's task
+    private lastRun: Promise<unknown> = Promise.resolve();
   
-    constructor(task: any) {
+    constructor(task: TTask) {
       this.task = task;
+      this.agentName = this.constructor.name;
+    }
+
+    // Runs the agent on the given task, which makes every agent usable in the swarm architectures.
+    // init() and dispose() are left to the caller; toAgent() adapts an agent that needs them.
+    run(task: TTask): Promise<TResult> {
+      const run = this.lastRun.then(() => {
+        this.setTask(task);
+        return this.execute();
+      });
+      this.lastRun = run.catch(() => undefined);
+      return run;
     }
   
+    // Called once before the agent's first run, e.g. to open connections or load a model.
+    // Swarms report a failure here separately from execution errors and call it again on the next run.
+    async init(): Promise<void> {}
+
     // Abstract method that must be implemented by derived classes
-    abstract execute(): Promise<any>;
+    abstract execute(): Promise<TResult>;
+
+    // Called once when the swarm is done with an initialized agent, to release what init() acquired
+    async dispose(): Promise<void> {}
   
     // A method to get the task
-    getTask(): any {
+    getTask(): TTask {
       return this.task;
     }
+
+    // A method to hand the agent a new task, used when pooled agents are reused
+    setTask(task: TTask): void {
+      this.task = task;
+    }
+  
+    // Sets the listener receiving the partial results of runs not started with executeStreaming().
+    // Pass undefined to detach it.
+    onPartial(listener?: (chunk: unknown) => void): void {
+      this.partialListener = listener;
+    }
+
+    // Calls execute() with a listener for the partial results of this call only, so runs of
+    // one instance in several tasks at once each receive their own
+    executeStreaming(listener: (chunk: unknown) => void): Promise<TResult> {
+      const listeners = new Map(runListeners.getStore()).set(this, listener);
+      return runListeners.run(listeners, () => this.execute());
+    }
+
+    // Streams a partial result, e.g. a batch of tokens, to whoever is running the agent.
+    // Chunks of agents run in workers must be structured-cloneable.
+    protected emitPartial(chunk: unknown): void {
+      const listener = runListeners.getStore()?.get(this) ?? this.partialListener;
+      listener?.(chunk);
+    }
   
-    // A method to check if the agent is reliable
+    // Resolves true when the agent can take work. Swarms probe this and quarantine
+    // agents that resolve false, throw or time out. Override to ping the agent's backend.
+    async healthCheck(): Promise<boolean> {
+      return true;
+    }
+
+    /**
+     * A method to check if the agent is reliable
+     * @deprecated Swarms no longer call this; override healthCheck() instead
+     */
     isReliable(): boolean {
       // Implement reliability logic here
       return this.task !== null && this.task !== undefined;
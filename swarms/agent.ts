@@ -0,0 +1,111 @@
+/**
+ * @fileoverview The agent contract shared by every swarm
+ *
+ * An agent has a name and a run() method taking a task. AgentBase implements
+ * the contract, so its subclasses work in the swarm architectures as they are;
+ * the adapters here cover agents with lifecycle hooks and plain agents that
+ * should run in a ConcurrentSwarm.
+ *
+ * @module agent
+ */
+
+import AgentBase from './agent-base';
+import { AgentLifecycleError } from './errors';
+
+/**
+ * Represents an agent in the swarm system
+ */
+export interface Agent<TTask = string, TResult = string> {
+  /** Unique name identifier for the agent */
+  agentName: string;
+  /** Async function that processes a task and returns a response */
+  run: (task: TTask) => Promise<TResult>;
+  /**
+   * Turns a response into the structured value it encodes, throwing if it
+   * cannot. Set by agents with structured output; swarms record the value as AgentLog.output.
+   */
+  parseResponse?: (response: TResult) => unknown;
+}
+
+/**
+ * Agent whose resources are released by calling dispose()
+ */
+export interface DisposableAgent<TTask = string, TResult = string> extends Agent<TTask, TResult> {
+  dispose: () => Promise<void>;
+}
+
+/**
+ * AgentBase running a plain agent. It runs the task being performed rather
+ * than one of its own, so ConcurrentSwarm hands it every task through run().
+ */
+export class AdaptedAgent<TTask = any, TResult = any> extends AgentBase<TTask, TResult> {
+  private agent: Agent<TTask, TResult>;
+
+  constructor(agent: Agent<TTask, TResult>) {
+    super(undefined as TTask);
+    this.agent = agent;
+    this.agentName = agent.agentName;
+  }
+
+  async execute(): Promise<TResult> {
+    return this.agent.run(this.task);
+  }
+
+  // The task is not kept on the instance, so runs need not wait for each other
+  run(task: TTask): Promise<TResult> {
+    return this.agent.run(task);
+  }
+}
+
+/**
+ * Check whether a value implements the agent contract
+ */
+export function isAgent(value: unknown): value is Agent<any, any> {
+  const agent = value as Agent<any, any> | null | undefined;
+  return typeof agent?.agentName === 'string' && typeof agent.run === 'function';
+}
+
+/**
+ * Adapt a plain agent to AgentBase, e.g. for ConcurrentSwarm.addAgent or an
+ * agent factory. The adapted agent is given the task being performed.
+ */
+export function fromAgent<TTask, TResult>(agent: Agent<TTask, TResult>): AgentBase<TTask, TResult> {
+  if (!isAgent(agent)) {
+    throw new Error('Agent must have an agentName and a run() method');
+  }
+  return new AdaptedAgent<TTask, TResult>(agent);
+}
+
+/**
+ * Adapt an AgentBase with lifecycle hooks to a plain agent. The agent is
+ * initialized before its first run, and again on the next run if that fails;
+ * dispose() disposes it if it was initialized. agentName defaults to the agent's.
+ */
+export function toAgent<TTask, TResult>(agent: AgentBase<TTask, TResult>,
+                                        agentName: string = agent.agentName): DisposableAgent<TTask, TResult> {
+  let initialized: Promise<void> | undefined;
+
+  const init = (): Promise<void> => {
+    initialized ??= agent.init().catch((error) => {
+      initialized = undefined;
+      const reason = error instanceof Error ? error.message : String(error);
+      throw new AgentLifecycleError(`Agent failed to initialize: ${reason}`, 'init', error);
+    });
+    return initialized;
+  };
+
+  return {
+    agentName,
+    run: async (task: TTask) => {
+      await init();
+      return agent.run(task);
+    },
+    dispose: async () => {
+      const pending = initialized;
+      initialized = undefined;
+      if (pending && await pending.then(() => true, () => false)) {
+        await agent.dispose();
+      }
+    }
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * @fileoverview Lifecycle of agents created by an AgentFactory
+ *
+ * A FactoryAgentPool hands ConcurrentSwarm one factory agent per task. Agents
+ * are either scoped to a single task and disposed after it, or pooled and
+ * handed the next task, and the number alive at once can be capped.
+ *
+ * @module agent-factory
+ */
+
+import AgentBase from './agent-base';
+
+/**
+ * Creates the agents a swarm adds to each task
+ */
+export interface AgentFactory<TTask = any, TResult = any> {
+  createAgent(task: TTask): AgentBase<TTask, TResult>;
+  /** Called when a factory agent is retired, to release whatever it holds */
+  dispose?(agent: AgentBase<TTask, TResult>): void | Promise<void>;
+}
+
+/**
+ * - 'task' creates an agent for every task and disposes it once the task settles
+ * - 'pooled' keeps agents after their task and hands them the next one
+ */
+export type AgentFactoryScope = 'task' | 'pooled';
+
+/**
+ * Options for setAgentFactory
+ */
+export interface AgentFactoryOptions {
+  /** Defaults to 'task' */
+  scope?: AgentFactoryScope;
+  /**
+   * Maximum number of factory agents alive at once, idle pooled agents
+   * included. Tasks wait for an agent to free up (unlimited when omitted).
+   */
+  maxLiveAgents?: number;
+}
+
+/**
+ * Snapshot of the factory agents
+ */
+export interface AgentFactoryStats {
+  /** Agents created and not yet disposed */
+  live: number;
+  /** Pooled agents waiting for a task */
+  idle: number;
+  /** Tasks waiting for an agent because maxLiveAgents was reached */
+  waiting: number;
+}
+
+/**
+ * Validates factory options, throwing on invalid settings
+ */
+export function assertAgentFactoryOptions(options: AgentFactoryOptions): void {
+  if (options.scope !== undefined && options.scope !== 'task' && options.scope !== 'pooled') {
+    throw new Error("Agent factory scope must be 'task' or 'pooled'");
+  }
+  if (options.maxLiveAgents !== undefined &&
+      (!Number.isInteger(options.maxLiveAgents) || options.maxLiveAgents < 1)) {
+    throw new Error('maxLiveAgents must be a positive integer');
+  }
+}
+
+/**
+ * Creates, reuses and disposes the agents of one AgentFactory
+ */
+export class FactoryAgentPool<TTask = any, TResult = any> {
+  private idle: AgentBase<TTask, TResult>[] = [];
+  private live = 0;
+  private waiters: Array<() => void> = [];
+  private closed = false;
+  private scope: AgentFactoryScope;
+  private maxLiveAgents: number;
+
+  /**
+   * @param onDisposeError Receives errors thrown by the factory's dispose(), which never fail a task
+   */
+  constructor(
+    private factory: AgentFactory<TTask, TResult>,
+    options: AgentFactoryOptions = {},
+    private onDisposeError: (error: unknown) => void = () => undefined
+  ) {
+    assertAgentFactoryOptions(options);
+    this.scope = options.scope ?? 'task';
+    this.maxLiveAgents = options.maxLiveAgents ?? Infinity;
+  }
+
+  /**
+   * Get an agent for the task: an idle pooled agent given the task, or a new
+   * one from the factory. Waits while maxLiveAgents agents are alive, and
+   * rejects with the signal's reason if it aborts meanwhile.
+   */
+  async acquire(task: TTask, signal?: AbortSignal): Promise<AgentBase<TTask, TResult>> {
+    for (;;) {
+      if (this.closed) {
+        throw new Error('Agent factory has been replaced');
+      }
+
+      const idle = this.idle.pop();
+      if (idle) {
+        idle.setTask(task);
+        return idle;
+      }
+
+      if (this.live < this.maxLiveAgents) {
+        this.live++;
+        try {
+          const agent = this.factory.createAgent(task);
+          if (!(agent instanceof AgentBase)) {
+            throw new Error('Agent factory must create instances of AgentBase');
+          }
+          return agent;
+        } catch (error) {
+          this.live--;
+          this.wake();
+          throw error;
+        }
+      }
+
+      await this.waitForAgent(signal);
+    }
+  }
+
+  /**
+   * Return an agent after its task: pooled agents go back to the pool,
+   * task-scoped ones are disposed
+   */
+  async release(agent: AgentBase<TTask, TResult>): Promise<void> {
+    if (this.scope === 'pooled' && !this.closed) {
+      this.idle.push(agent);
+      this.wake();
+      return;
+    }
+    await this.dispose(agent);
+  }
+
+  /**
+   * Dispose every idle agent. Agents still running are disposed when released.
+   */
+  async close(): Promise<void> {
+    this.closed = true;
+    await Promise.all(this.idle.splice(0).map(agent => this.dispose(agent)));
+    for (const wake of this.waiters.splice(0)) {
+      wake();
+    }
+  }
+
+  getStats(): AgentFactoryStats {
+    return { live: this.live, idle: this.idle.length, waiting: this.waiters.length };
+  }
+
+  private async dispose(agent: AgentBase<TTask, TResult>): Promise<void> {
+    try {
+      await this.factory.dispose?.(agent);
+    } catch (error) {
+      this.onDisposeError(error);
+    } finally {
+      this.live--;
+      this.wake();
+    }
+  }
+
+  /**
+   * Wake the longest-waiting task after an agent frees up
+   */
+  private wake(): void {
+    this.waiters.shift()?.();
+  }
+
+  private waitForAgent(signal?: AbortSignal): Promise<void> {
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.waiters.splice(this.waiters.indexOf(wake), 1);
+        reject(signal?.reason);
+      };
+      const wake = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.waiters.push(wake);
+    });
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Strategies that merge the responses of several agents
+ *
+ * When every agent of a swarm answers the same task, an aggregation strategy
+ * turns their successful responses into a single value. ConcurrentSwarm applies
+ * one through aggregateTask and broadcast through its aggregation option.
+ *
+ * @module aggregation
+ */
+
+import { AggregationError } from './errors';
+import type { Agent } from './agent';
+
+/**
+ * A successful response offered to an aggregation strategy
+ */
+export interface AggregationCandidate {
+  agentName: string;
+  response: any;
+}
+
+/**
+ * Picks the most common response. Responses are compared by key, which
+ * defaults to the trimmed text of strings and the JSON of anything else.
+ */
+export interface MajorityStrategy {
+  type: 'majority';
+  key?: (response: any) => string;
+}
+
+/**
+ * Folds every response into one value, starting from initialValue or, when
+ * omitted, from the first response
+ */
+export interface ReducerStrategy<T = any> {
+  type: 'reducer';
+  reducer: (accumulator: T, response: any, candidate: AggregationCandidate) => T | Promise<T>;
+  initialValue?: T;
+}
+
+/**
+ * Asks a judge agent to pick the best response
+ */
+export interface JudgeStrategy {
+  type: 'judge';
+  judge: Agent;
+  /** Builds the judge's task; defaults to the task and a numbered list of the responses */
+  formatTask?: (task: unknown, candidates: AggregationCandidate[]) => string;
+  /**
+   * Reads the index of the chosen candidate from the judge's response;
+   * defaults to the first number in it, counted from 1
+   */
+  parseChoice?: (judgement: string, candidates: AggregationCandidate[]) => number;
+}
+
+/**
+ * How responses are merged:
+ * - 'first-success' takes the first response, in the order the swarm reports them
+ * - 'majority' takes the most common response, ties going to the one seen first
+ * - 'longest' and 'shortest' compare the length of the responses' text
+ * - a reducer or a judge agent, see ReducerStrategy and JudgeStrategy
+ */
+export type AggregationStrategy =
+  | 'first-success'
+  | 'majority'
+  | 'longest'
+  | 'shortest'
+  | MajorityStrategy
+  | ReducerStrategy
+  | JudgeStrategy;
+
+export type AggregationStrategyName = 'first-success' | 'majority' | 'longest' | 'shortest' | 'reducer' | 'judge';
+
+/**
+ * Value produced by an aggregation strategy
+ */
+export interface Aggregate {
+  strategy: AggregationStrategyName;
+  value: any;
+  /** Agents whose responses make up the value */
+  agentNames: string[];
+  /** For 'majority', the number of responses that agreed on the value */
+  votes?: number;
+  /** For 'judge', the judge's response */
+  judgement?: string;
+}
+
+const namedStrategies: AggregationStrategyName[] = ['first-success', 'majority', 'longest', 'shortest'];
+
+/**
+ * Name of a strategy, e.g. 'reducer' for a ReducerStrategy
+ */
+export function strategyName(strategy: AggregationStrategy): AggregationStrategyName {
+  return typeof strategy === 'string' ? strategy : strategy.type;
+}
+
+/**
+ * Validates an aggregation strategy, throwing on invalid settings
+ */
+export function assertAggregationStrategy(strategy: AggregationStrategy): void {
+  if (typeof strategy === 'string') {
+    if (!namedStrategies.includes(strategy)) {
+      throw new Error(`Unknown aggregation strategy: ${strategy}`);
+    }
+    return;
+  }
+
+  switch (strategy?.type) {
+    case 'majority':
+      return;
+    case 'reducer':
+      if (typeof strategy.reducer !== 'function') {
+        throw new Error('Reducer aggregation requires a reducer function');
+      }
+      return;
+    case 'judge':
+      if (!strategy.judge || typeof strategy.judge.run !== 'function') {
+        throw new Error('Judge aggregation requires a judge agent');
+      }
+      return;
+    default:
+      throw new Error('Aggregation strategy must be a strategy name or an object with a type');
+  }
+}
+
+function textOf(response: unknown): string {
+  return typeof response === 'string' ? response : JSON.stringify(response) ?? String(response);
+}
+
+function defaultMajorityKey(response: unknown): string {
+  return typeof response === 'string' ? response.trim() : textOf(response);
+}
+
+function formatJudgeTask(task: unknown, candidates: AggregationCandidate[]): string {
+  const responses = candidates.map((candidate, i) => `${i + 1}. ${textOf(candidate.response)}`).join('\n');
+  return `Task: ${textOf(task)}\n\nResponses:\n${responses}\n\nReply with the number of the best response.`;
+}
+
+function parseJudgeChoice(judgement: string): number {
+  const match = /\d+/.exec(judgement);
+  return match ? Number(match[0]) - 1 : -1;
+}
+
+function pick(strategy: AggregationStrategyName, candidate: AggregationCandidate): Aggregate {
+  return { strategy, value: candidate.response, agentNames: [candidate.agentName] };
+}
+
+/**
+ * Merge the candidates' responses with the strategy. Rejects with an
+ * AggregationError when there are no candidates or the judge picks none of them.
+ */
+export async function aggregate(
+  strategy: AggregationStrategy,
+  candidates: AggregationCandidate[],
+  task: unknown
+): Promise<Aggregate> {
+  const name = strategyName(strategy);
+  const [first] = candidates;
+  if (!first) {
+    throw new AggregationError(`No successful responses to aggregate with ${name}`, name);
+  }
+
+  if (strategy === 'first-success') {
+    return pick(name, first);
+  }
+
+  if (strategy === 'longest' || strategy === 'shortest') {
+    const sign = strategy === 'longest' ? 1 : -1;
+    const best = candidates.reduce((best, candidate) =>
+      sign * (textOf(candidate.response).length - textOf(best.response).length) > 0 ? candidate : best);
+    return pick(name, best);
+  }
+
+  if (strategy === 'majority' || strategy.type === 'majority') {
+    const key = (typeof strategy === 'object' && strategy.key) || defaultMajorityKey;
+    // Maps preserve insertion order, so ties go to the response seen first
+    const groups = new Map<string, AggregationCandidate[]>();
+    for (const candidate of candidates) {
+      const responseKey = key(candidate.response);
+      groups.set(responseKey, [...(groups.get(responseKey) ?? []), candidate]);
+    }
+    const winners = [...groups.values()].reduce((best, group) => group.length > best.length ? group : best);
+    return {
+      strategy: name,
+      value: (winners[0] as AggregationCandidate).response,
+      agentNames: winners.map(candidate => candidate.agentName),
+      votes: winners.length
+    };
+  }
+
+  if (strategy.type === 'reducer') {
+    const hasInitialValue = 'initialValue' in strategy;
+    let value = hasInitialValue ? strategy.initialValue : first.response;
+    for (const candidate of hasInitialValue ? candidates : candidates.slice(1)) {
+      value = await strategy.reducer(value, candidate.response, candidate);
+    }
+    return { strategy: name, value, agentNames: candidates.map(candidate => candidate.agentName) };
+  }
+
+  const { judge } = strategy;
+  const judgement = await judge.run((strategy.formatTask ?? formatJudgeTask)(task, candidates));
+  const choice = (strategy.parseChoice ?? parseJudgeChoice)(judgement, candidates);
+  const chosen = candidates[choice];
+  if (!Number.isInteger(choice) || !chosen) {
+    throw new AggregationError(`Judge ${judge.agentName} did not pick one of the ${candidates.length} responses`, name);
+  }
+  return { ...pick(name, chosen), judgement };
+}
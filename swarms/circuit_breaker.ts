@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Per-agent circuit breakers
+ *
+ * A breaker stops calls to an agent whose backend keeps failing. After
+ * failureThreshold consecutive failures it opens and rejects calls straight
+ * away; once cooldownMs has passed it lets a single trial call through
+ * (half-open) and closes again if that call succeeds.
+ *
+ * @module circuit-breaker
+ */
+
+import { CircuitOpenError } from './errors';
+import type { Agent } from './agent';
+
+export type CircuitState = 'closed' | 'open' | 'half-open';
+
+/**
+ * Thresholds for a circuit breaker
+ */
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the breaker, defaults to 5 */
+  failureThreshold?: number;
+  /** Time an open breaker waits before allowing a trial call, defaults to 30s */
+  cooldownMs?: number;
+  /** Decides whether an error counts as a failure; every error counts when omitted */
+  isFailure?: (error: unknown) => boolean;
+  /** Called whenever the breaker changes state */
+  onStateChange?: (state: CircuitState, previous: CircuitState) => void;
+}
+
+/**
+ * Validates circuit breaker options, throwing on invalid settings
+ */
+export function assertCircuitBreakerOptions(options: CircuitBreakerOptions): void {
+  if (options.failureThreshold !== undefined &&
+      (!Number.isInteger(options.failureThreshold) || options.failureThreshold < 1)) {
+    throw new Error('Circuit breaker failureThreshold must be a positive integer');
+  }
+  if (options.cooldownMs !== undefined && !(options.cooldownMs >= 0)) {
+    throw new Error('Circuit breaker cooldownMs cannot be negative');
+  }
+}
+
+/**
+ * Circuit breaker guarding calls to a single agent
+ */
+export class CircuitBreaker {
+  private currentState: CircuitState = 'closed';
+  private failures = 0;
+  private openedAt = 0;
+  private trialInFlight = false;
+  private failureThreshold: number;
+  private cooldownMs: number;
+  private isFailure: (error: unknown) => boolean;
+  private onStateChange?: (state: CircuitState, previous: CircuitState) => void;
+
+  constructor(options: CircuitBreakerOptions = {}) {
+    assertCircuitBreakerOptions(options);
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.isFailure = options.isFailure ?? (() => true);
+    this.onStateChange = options.onStateChange;
+  }
+
+  /**
+   * Current state; an open breaker whose cooldown has elapsed reports half-open
+   */
+  get state(): CircuitState {
+    if (this.currentState === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.transition('half-open');
+    }
+    return this.currentState;
+  }
+
+  /**
+   * Claim permission for one call. Returns false while open, or while half-open
+   * with the trial call already in flight. Every granted call must be followed
+   * by recordSuccess, recordFailure or release.
+   */
+  allowRequest(): boolean {
+    switch (this.state) {
+      case 'closed':
+        return true;
+      case 'open':
+        return false;
+      case 'half-open':
+        if (this.trialInFlight) {
+          return false;
+        }
+        this.trialInFlight = true;
+        return true;
+    }
+  }
+
+  recordSuccess(): void {
+    this.trialInFlight = false;
+    this.failures = 0;
+    this.transition('closed');
+  }
+
+  /**
+   * Record a failed call; errors rejected by isFailure only release the call
+   */
+  recordFailure(error?: unknown): void {
+    if (error !== undefined && !this.isFailure(error)) {
+      this.release();
+      return;
+    }
+
+    this.trialInFlight = false;
+    this.failures++;
+    if (this.currentState === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition('open');
+    }
+  }
+
+  /**
+   * Give back a granted call without recording an outcome, e.g. when it was cancelled
+   */
+  release(): void {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Run an operation through the breaker, rejecting with a CircuitOpenError
+   * without calling it when the breaker does not allow requests
+   */
+  async execute<T>(operation: () => Promise<T>, name: string = 'agent'): Promise<T> {
+    if (!this.allowRequest()) {
+      throw new CircuitOpenError(`Circuit breaker for ${name} is open`, name);
+    }
+
+    try {
+      const result = await operation();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+  }
+
+  private transition(state: CircuitState): void {
+    const previous = this.currentState;
+    if (previous !== state) {
+      this.currentState = state;
+      this.onStateChange?.(state, previous);
+    }
+  }
+}
+
+/**
+ * Hands out one breaker per key, all sharing the same options
+ */
+export class CircuitBreakerRegistry {
+  private breakers = new Map<string, CircuitBreaker>();
+
+  constructor(private options: CircuitBreakerOptions = {}) {}
+
+  get(key: string): CircuitBreaker {
+    let breaker = this.breakers.get(key);
+    if (!breaker) {
+      breaker = new CircuitBreaker(this.options);
+      this.breakers.set(key, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Current state of every breaker handed out so far
+   */
+  getStates(): Record<string, CircuitState> {
+    const states: Record<string, CircuitState> = {};
+    this.breakers.forEach((breaker, key) => {
+      states[key] = breaker.state;
+    });
+    return states;
+  }
+}
+
+/**
+ * Wrap an agent so its runs go through the given breaker
+ */
+export function withCircuitBreaker(agent: Agent, breaker: CircuitBreaker = new CircuitBreaker()): Agent {
+  return {
+    ...agent,
+    run: (task: string) => breaker.execute(() => agent.run(task), agent.agentName)
+  };
+}
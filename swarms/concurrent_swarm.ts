@@ -1,160 +1,1757 @@
-import { Worker } from 'worker_threads';
-import winston from 'winston';
+import path from 'path';
+import { ResourceLimits } from 'worker_threads';
+import { randomUUID } from 'crypto';
 import AgentBase from './agent-base';
+import { AdaptedAgent, Agent, fromAgent, isAgent } from './agent';
+import WorkerPool, { JobListeners, WorkerPoolStats } from './worker_pool';
+import {
+  AbortError,
+  AgentLifecycleError,
+  AgentUnhealthyError,
+  CircuitOpenError,
+  QueueFullError,
+  SwarmClosedError,
+  SwarmExecutionError,
+  TimeoutError,
+  WorkerCrashError,
+  WorkerCrashReason
+} from './errors';
+import PriorityQueue from './priority_queue';
+import { SwarmEventEmitter } from './events';
+import { SwarmLogger, defaultLogger } from './logger';
+import { RateLimiter } from './rate_limiter';
+import { RetryPolicy, assertRetryPolicy, withRetry } from './retry';
+import { CircuitBreaker, CircuitBreakerOptions, CircuitState, assertCircuitBreakerOptions } from './circuit_breaker';
+import { AgentFactory, AgentFactoryOptions, AgentFactoryStats, FactoryAgentPool } from './agent_factory';
+import { Aggregate, AggregationStrategy, aggregate, assertAggregationStrategy } from './aggregation';
+import { SwarmSchemas, assertSwarmSchemas, validate } from './schema';
 
-// Create a logger
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.json(),
-  transports: [
-    new winston.transports.File({ filename: 'error.log', level: 'error' }),
-    new winston.transports.File({ filename: 'combined.log' }),
-  ],
-});
+/**
+ * Describes an agent that a worker thread loads and instantiates on its own.
+ * Agent instances cannot cross a thread boundary, so this is the way to run
+ * an AgentBase subclass off the main thread.
+ */
+export interface AgentModule {
+  /** Path to the module exporting the AgentBase subclass */
+  modulePath: string;
+  /** Named export holding the class; the default export is used when omitted */
+  exportName?: string;
+  /** Constructor arguments; the task is passed as the only argument when omitted */
+  args?: unknown[];
+}
+
+/**
+ * How performTask reacts to failing agents:
+ * - 'fail-fast' rejects with the first agent error and cancels the rest
+ * - 'all-settled' runs every agent and reports failures in the results
+ * - quorum resolves once `quorum` agents succeed, cancelling the rest, and
+ *   rejects with a SwarmExecutionError as soon as that becomes impossible
+ */
+export type FailurePolicy = 'fail-fast' | 'all-settled' | { type: 'quorum'; quorum: number };
+
+/**
+ * How the swarm probes its agents' healthCheck()
+ */
+export interface HealthCheckOptions {
+  /** Probe every agent at this interval; agents are only probed through checkHealth() when omitted */
+  intervalMs?: number;
+  /** Time limit for a single probe, defaults to 5s */
+  timeoutMs?: number;
+  /** Consecutive failed probes after which an agent is quarantined, defaults to 1 */
+  unhealthyThreshold?: number;
+}
+
+/**
+ * Where module agents run:
+ * - 'thread' on a pool of worker threads
+ * - 'process' on a pool of forked child processes, for agents whose native
+ *   modules are not safe in worker threads
+ * - 'inline' on the main event loop, for I/O-bound agents that do not need isolation
+ */
+export type ExecutionMode = 'thread' | 'process' | 'inline';
+
+/**
+ * Options for configuring a ConcurrentSwarm
+ */
+export interface ConcurrentSwarmOptions<TTask = any, TResult = any> {
+  /** Defaults to 'thread'; agent instances always run inline */
+  executionMode?: ExecutionMode;
+  /** Replace a pooled worker after it has run this many agents (unlimited when omitted) */
+  maxTasksPerWorker?: number;
+  /**
+   * Heap, stack and young generation limits for every worker; a worker exceeding
+   * them is killed. Child processes only honour maxOldGenerationSizeMb.
+   */
+  resourceLimits?: ResourceLimits;
+  /** Times a module agent is re-run in a fresh worker after its worker crashes, defaults to 0 */
+  crashRestarts?: number;
+  /** Defaults to 'fail-fast' */
+  failurePolicy?: FailurePolicy;
+  /** Default time limit for a whole performTask call */
+  taskTimeoutMs?: number;
+  /** Default time limit for each agent's run; applies to every retry attempt separately */
+  agentTimeoutMs?: number;
+  /** Default retry policy for failing agents; agents run once when omitted */
+  retryPolicy?: RetryPolicy;
+  /** Maximum number of tasks waiting in the submit() queue (unlimited when omitted) */
+  maxQueueSize?: number;
+  /** What submit() does when the queue is full, defaults to 'reject' */
+  queueFullBehavior?: 'reject' | 'wait';
+  /** Number of submitted tasks run at the same time, defaults to 1 */
+  taskConcurrency?: number;
+  /** Destination for log output, defaults to JSON lines on stdout; pass silentLogger to disable */
+  logger?: SwarmLogger;
+  /** Every agent run, including retries, waits for capacity on this limiter */
+  rateLimiter?: RateLimiter;
+  /** Gives every agent its own circuit breaker with these settings; agents whose breaker is open are skipped */
+  circuitBreaker?: CircuitBreakerOptions;
+  /** Health check probing; quarantined agents are skipped until a probe succeeds again */
+  healthCheck?: HealthCheckOptions;
+  /**
+   * Close the swarm gracefully when the process receives one of these signals,
+   * e.g. ['SIGTERM']. The signal is raised again once the swarm is closed if
+   * nothing else handles it, and a second signal takes effect immediately.
+   */
+  shutdownSignals?: NodeJS.Signals[];
+  /** Time a signal-triggered close waits for work to finish before forcing it (waits indefinitely when omitted) */
+  shutdownTimeoutMs?: number;
+  /** Runtime validation of every task and every agent's result, e.g. with zod schemas */
+  schemas?: SwarmSchemas<TTask, TResult>;
+}
+
+/**
+ * Settings for close()
+ */
+export interface CloseOptions {
+  /** Abort running tasks and drop queued ones instead of waiting for them. Defaults to false */
+  force?: boolean;
+  /** Wait this long for work to finish before forcing the close (waits indefinitely when omitted) */
+  timeoutMs?: number;
+}
+
+/**
+ * Per-agent settings accepted by addAgent and addAgentModule
+ */
+export interface AgentOptions {
+  /** Stable identifier used by removeAgent and replaceAgent, generated when omitted */
+  id?: string;
+  /** Name used in events, logs and listAgents; defaults to the agent's agentName or export name */
+  name?: string;
+  /** Time limit for this agent's run, overriding the swarm's agentTimeoutMs */
+  timeoutMs?: number;
+  /** Retry policy for this agent, overriding the swarm's retryPolicy */
+  retryPolicy?: RetryPolicy;
+  /** Rate limiter bucket this agent draws from, defaults to 'default' */
+  rateLimitKey?: string;
+  /** Breaker guarding this agent, overriding the one built from the swarm's circuitBreaker settings */
+  circuitBreaker?: CircuitBreaker;
+  /** Crash restarts for this agent, overriding the swarm's crashRestarts */
+  crashRestarts?: number;
+}
+
+/**
+ * Per-call settings for performTask
+ */
+export interface PerformTaskOptions {
+  /** Aborting the signal cancels every agent still running and rejects with an AbortError */
+  signal?: AbortSignal;
+  /** Time limit for this call, overriding the swarm's taskTimeoutMs */
+  timeoutMs?: number;
+  /** Receives the partial results agents stream while they run */
+  onPartial?: (partial: AgentPartial) => void;
+}
+
+/**
+ * A partial result streamed by an agent before it settles
+ */
+export interface AgentPartial {
+  agentIndex: number;
+  agentId: string;
+  agentName: string;
+  /** Attempt that produced the chunk; a retried agent streams again from the start */
+  attempt: number;
+  chunk: unknown;
+}
+
+/**
+ * Item yielded by streamTask: every partial result as it arrives, then the results
+ */
+export type TaskStreamEvent<TResult = any> =
+  | ({ type: 'partial' } & AgentPartial)
+  | { type: 'results'; results: AgentResult<TResult>[] };
+
+/**
+ * Per-call settings for submit()
+ */
+export interface SubmitOptions extends PerformTaskOptions {
+  /** Higher priorities are run first; equal priorities run in submission order. Must be finite; defaults to 0 */
+  priority?: number;
+}
+
+/**
+ * Snapshot of the submit() queue
+ */
+export interface TaskQueueStats {
+  /** Tasks waiting to run */
+  queued: number;
+  /** Tasks currently being performed */
+  running: number;
+  /** Producers blocked in submit() because the queue is full */
+  waiting: number;
+}
+
+/**
+ * A submitted task waiting for its turn
+ */
+interface QueuedTask<TTask, TResult> {
+  task: TTask;
+  options: SubmitOptions;
+  resolve: (results: AgentResult<TResult>[]) => void;
+  reject: (error: Error) => void;
+}
+
+/**
+ * Health of an agent as last seen by the swarm:
+ * - 'unknown' until its first probe
+ * - 'unhealthy' after failed probes that have not reached the unhealthyThreshold yet
+ * - 'quarantined' once they have; the agent is skipped until a probe succeeds
+ */
+export type AgentHealthStatus = 'unknown' | 'healthy' | 'unhealthy' | 'quarantined';
+
+/**
+ * Entry of the report returned by getAgentHealth and checkHealth
+ */
+export interface AgentHealth {
+  agentIndex: number;
+  agentId: string;
+  agentName: string;
+  status: AgentHealthStatus;
+  /** Failed probes in a row, reset by a successful one */
+  consecutiveFailures: number;
+  /** When the agent was last probed */
+  lastCheckedAt?: number;
+  /** Why the last failed probe failed */
+  lastError?: string;
+}
+
+/**
+ * Counts of an agent's outcomes across every task since it was added
+ */
+export interface AgentStats {
+  fulfilled: number;
+  rejected: number;
+  cancelled: number;
+  skipped: number;
+  /** Time spent across every run, including retries and backoff */
+  totalDurationMs: number;
+  /** When the agent last fulfilled or rejected a task */
+  lastRunAt?: number;
+}
+
+/**
+ * Entry of the listing returned by listAgents
+ */
+export interface AgentInfo {
+  id: string;
+  name: string;
+  /** Current position of the agent in the swarm */
+  agentIndex: number;
+  /** 'instance' for agents added with addAgent, 'module' for addAgentModule */
+  kind: 'instance' | 'module';
+  health: AgentHealthStatus;
+  /** State of the agent's circuit breaker, if it has one */
+  circuitState?: CircuitState;
+  stats: AgentStats;
+}
+
+/**
+ * An agent together with the options it was registered with
+ */
+interface RegisteredAgent {
+  id: string;
+  name: string;
+  agent: AgentBase | AgentModule;
+  options: AgentOptions;
+  breaker?: CircuitBreaker;
+  health: Omit<AgentHealth, 'agentIndex' | 'agentId' | 'agentName'>;
+  stats: AgentStats;
+  /** Set once init() has been called on an agent instance, cleared if it fails */
+  initialized?: Promise<void>;
+  /** Runs and probes using the agent right now */
+  activeRuns: number;
+  /** Set when the swarm lets go of the agent, resolving once it is disposed */
+  disposal?: Promise<void>;
+  /** Called when the last active run of a retired agent ends */
+  onIdle?: () => void;
+}
+
+/**
+ * Outcome of a single agent's run. Agents stopped or never started because the
+ * failure policy was already decided are reported as 'cancelled'; agents not
+ * called because their circuit breaker is open or they are quarantined are
+ * reported as 'skipped'.
+ */
+export type AgentResultStatus = 'fulfilled' | 'rejected' | 'cancelled' | 'skipped';
+
+/**
+ * Structured result of one agent's run within performTask
+ */
+export interface AgentResult<TResult = any> {
+  /** Position of the agent in the swarm at the time the task started */
+  agentIndex: number;
+  /** Stable identifier of the agent */
+  agentId: string;
+  agentName: string;
+  status: AgentResultStatus;
+  /** Value returned by execute(), set when fulfilled */
+  result?: TResult;
+  /**
+   * Error thrown by the agent when rejected, the TimeoutError/AbortError that cut
+   * it off, or the CircuitOpenError/AgentUnhealthyError when skipped
+   */
+  error?: Error;
+  /** Total time across every attempt, including backoff delays */
+  durationMs: number;
+  /** Number of attempts made, more than one when the agent was retried */
+  attempts: number;
+  /** How the agent's worker died, set when it was rejected because of a worker crash */
+  crash?: WorkerCrashReason;
+}
+
+/**
+ * Results of aggregateTask: the merged value alongside every agent's result
+ */
+export interface AggregatedResults<TResult = any> {
+  aggregate: Aggregate;
+  results: AgentResult<TResult>[];
+}
+
+/**
+ * Validate an optional crash restart count
+ */
+function assertCrashRestarts(crashRestarts: number | undefined): void {
+  if (crashRestarts !== undefined && (!Number.isInteger(crashRestarts) || crashRestarts < 0)) {
+    throw new Error('crashRestarts must be a non-negative integer');
+  }
+}
+
+/**
+ * Settle with the promise or reject with the signal's reason, whichever comes first.
+ * Used for agent instances, whose execute() cannot be interrupted.
+ */
+function raceAbort<T>(promise: Promise<T>, signal: AbortSignal): Promise<T> {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Error a task cut off for the given abort reason rejects with: the TimeoutError
+ * of a timeout, or an AbortError whose cause is any other reason
+ */
+function cutOffError(reason: unknown): TimeoutError | AbortError {
+  return reason instanceof TimeoutError ? reason : new AbortError('Task was aborted', reason);
+}
+
+/**
+ * Abort the target controller when the source signal aborts, forwarding the reason.
+ * Returns a function that removes the link.
+ */
+function linkSignal(source: AbortSignal, target: AbortController): () => void {
+  if (source.aborted) {
+    target.abort(source.reason);
+    return () => undefined;
+  }
+
+  const onAbort = () => target.abort(source.reason);
+  source.addEventListener('abort', onAbort, { once: true });
+  return () => source.removeEventListener('abort', onAbort);
+}
+
+/**
+ * A module agent instance and whether its init() hook has run
+ */
+interface ModuleAgentInstance {
+  agent: any;
+  initialized: boolean;
+  /** Built from args, or able to take the next task through setTask() */
+  reusable: boolean;
+}
+
+/**
+ * Module agents run on the main thread in 'inline' mode, kept the same way a
+ * pooled worker keeps them: instances are reused by module, export and
+ * constructor arguments, each running one job at a time, and disposed on close.
+ */
+class InlineModuleAgents {
+  private idle = new Map<string, ModuleAgentInstance[]>();
+  private closed = false;
+
+  async call(agentModule: AgentModule, task: any, method: 'execute' | 'healthCheck',
+             listeners: JobListeners = {}): Promise<any> {
+    const instance = this.acquire(agentModule, task, method);
+    const { agent } = instance;
+    if (method !== 'healthCheck') {
+      if (typeof agent.execute !== 'function') {
+        throw new Error(`Agent loaded from ${agentModule.modulePath} does not implement execute()`);
+      }
+      if (typeof agent.onPartial === 'function') {
+        agent.onPartial(listeners.onPartial ?? (() => undefined));
+      }
+    }
+
+    if (!instance.initialized && typeof agent.init === 'function') {
+      try {
+        await agent.init();
+      } catch (error) {
+        // Initialized again by its next job
+        await this.release(agentModule, instance, listeners.onDisposeError);
+        throw new AgentLifecycleError(`Agent failed to initialize: ${errorMessage(error)}`, 'init', error);
+      }
+    }
+    instance.initialized = true;
+    try {
+      if (method === 'healthCheck') {
+        return typeof agent.healthCheck === 'function' ? await agent.healthCheck() : true;
+      }
+      return await agent.execute();
+    } finally {
+      await this.release(agentModule, instance, listeners.onDisposeError);
+    }
+  }
+
+  /**
+   * Dispose every idle instance; instances still running are disposed once they finish
+   */
+  async close(onDisposeError: (error: AgentLifecycleError, agent: AgentModule) => void): Promise<void> {
+    this.closed = true;
+    const entries = [...this.idle.entries()];
+    this.idle.clear();
+    await Promise.all(entries.map(([key, instances]) => {
+      const agentModule = JSON.parse(key) as AgentModule;
+      return Promise.all(instances.map(instance => disposeModuleAgent(instance, (error) => onDisposeError(error, agentModule))));
+    }));
+  }
+
+  private acquire(agentModule: AgentModule, task: any, method: 'execute' | 'healthCheck'): ModuleAgentInstance {
+    const reused = this.idle.get(moduleAgentKey(agentModule))?.pop();
+    if (reused) {
+      if (!agentModule.args && method !== 'healthCheck') {
+        reused.agent.setTask(task);
+      }
+      return reused;
+    }
+
+    const { modulePath, exportName } = agentModule;
+    const loaded = require(modulePath);
+    const AgentClass = exportName ? loaded[exportName] : loaded?.default || loaded;
+    if (typeof AgentClass !== 'function') {
+      throw new Error(`Module ${modulePath} does not export an agent class${exportName ? ` named ${exportName}` : ''}`);
+    }
+    const agent = new AgentClass(...(agentModule.args ?? [task]));
+    return { agent, initialized: false, reusable: Boolean(agentModule.args) || typeof agent.setTask === 'function' };
+  }
+
+  private async release(agentModule: AgentModule, instance: ModuleAgentInstance,
+                        onDisposeError?: (error: AgentLifecycleError) => void): Promise<void> {
+    if (!instance.reusable || this.closed) {
+      await disposeModuleAgent(instance, onDisposeError);
+      return;
+    }
+    const key = moduleAgentKey(agentModule);
+    this.idle.set(key, [...(this.idle.get(key) ?? []), instance]);
+  }
+}
+
+/**
+ * Key module agent instances are kept under; parses back into the AgentModule
+ */
+function moduleAgentKey({ modulePath, exportName, args }: AgentModule): string {
+  return JSON.stringify({ modulePath, exportName, args });
+}
+
+/**
+ * Call dispose() on an initialized module agent, reporting rather than throwing a failure
+ */
+async function disposeModuleAgent(instance: ModuleAgentInstance,
+                                  onDisposeError?: (error: AgentLifecycleError) => void): Promise<void> {
+  if (!instance.initialized || typeof instance.agent.dispose !== 'function') {
+    return;
+  }
+  try {
+    await instance.agent.dispose();
+  } catch (error) {
+    onDisposeError?.(new AgentLifecycleError(`Agent failed to dispose: ${errorMessage(error)}`, 'dispose', error));
+  }
+}
+
+function errorMessage(error: unknown): string {
+  return error instanceof Error ? error.message : String(error);
+}
+
+/**
+ * Iterate over the partials a run reports as they arrive, then its results.
+ * The run starts on the first call to next(); returning from the iteration
+ * before the run settles aborts the controller.
+ */
+function streamRun<TResult>(run: (onPartial: (partial: AgentPartial) => void) => Promise<AgentResult<TResult>[]>,
+                            controller: AbortController): AsyncIterableIterator<TaskStreamEvent<TResult>> {
+  const events: TaskStreamEvent<TResult>[] = [];
+  let wake: (() => void) | undefined;
+  let started = false;
+  let settled = false;
+  let done = false;
+  let failure: unknown;
+  const push = (event: TaskStreamEvent<TResult>) => {
+    events.push(event);
+    wake?.();
+  };
+
+  const start = () => {
+    started = true;
+    run(partial => push({ type: 'partial', ...partial })).then(
+      results => push({ type: 'results', results }),
+      error => {
+        failure = error;
+      }
+    ).finally(() => {
+      settled = true;
+      wake?.();
+    });
+  };
+
+  return {
+    async next(): Promise<IteratorResult<TaskStreamEvent<TResult>, undefined>> {
+      if (!started) {
+        start();
+      }
+      while (!done && events.length === 0 && !settled) {
+        await new Promise<void>((resolve) => {
+          wake = resolve;
+        });
+        wake = undefined;
+      }
+      if (!done && events.length > 0) {
+        return { done: false, value: events.shift() as TaskStreamEvent<TResult> };
+      }
+      if (!done) {
+        done = true;
+        if (failure !== undefined) {
+          throw failure;
+        }
+      }
+      return { done: true, value: undefined };
+    },
+    async return(): Promise<IteratorResult<TaskStreamEvent<TResult>, undefined>> {
+      done = true;
+      if (started && !settled) {
+        controller.abort(new Error('Stream closed before the task settled'));
+      }
+      return { done: true, value: undefined };
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+}
+
+/**
+ * Validate an optional timeout option
+ */
+function assertTimeout(name: string, timeoutMs: number | undefined): void {
+  if (timeoutMs !== undefined && (!Number.isFinite(timeoutMs) || timeoutMs <= 0)) {
+    throw new Error(`${name} must be a positive number of milliseconds`);
+  }
+}
 
 /**
- * Type for worker function that can be executed in a thread
+ * Default name of an agent: the agentName of an instance, or the export
+ * name (falling back to the file name) of a module agent
  */
-type WorkerFunction = (task: any) => Promise<any>;
+function describeAgent(agent: AgentBase | AgentModule): string {
+  if (agent instanceof AgentBase) {
+    return agent.agentName;
+  }
+  return agent.exportName ?? path.basename(agent.modulePath, path.extname(agent.modulePath));
+}
 
 /**
- * Interface for agent factory that creates agent instances
+ * Validate a module agent and resolve its path up front, so a bad path fails
+ * on registration rather than in the worker
  */
-interface AgentFactory {
-  createAgent(task: any): AgentBase;
+function resolveAgentModule(agentModule: AgentModule): AgentModule {
+  if (!agentModule || typeof agentModule.modulePath !== 'string' || !agentModule.modulePath) {
+    throw new Error('Agent module must specify a modulePath');
+  }
+
+  if (agentModule.args !== undefined && !Array.isArray(agentModule.args)) {
+    throw new Error('Agent module args must be an array');
+  }
+
+  return {
+    ...agentModule,
+    modulePath: require.resolve(path.resolve(agentModule.modulePath))
+  };
 }
 
 /**
  * Represents a concurrent swarm that can perform tasks using multiple worker threads.
+ * Module agents run on a long-lived pool of maxThreads workers that is reused across
+ * tasks; depending on the execution mode these are threads or child processes.
+ * Lifecycle events (swarm:start, agent:start, agent:response, ...) are emitted on the swarm itself.
+ * TTask and TResult type the tasks performed and the results agents return;
+ * pass schemas to check them at runtime as well.
  */
-class ConcurrentSwarm {
-  private agents: AgentBase[];
+class ConcurrentSwarm<TTask = any, TResult = any> extends SwarmEventEmitter {
+  private agents: RegisteredAgent[];
   private maxThreads: number;
-  private agentFactory?: AgentFactory;
+  private factoryPool?: FactoryAgentPool<TTask, TResult>;
+  /** Registrations of pooled factory agents, so they keep their id across tasks */
+  private factoryRegistrations = new WeakMap<AgentBase, RegisteredAgent>();
+  private pool: WorkerPool;
+  private inlineAgents = new InlineModuleAgents();
+  private failurePolicy: FailurePolicy;
+  private taskTimeoutMs?: number;
+  private agentTimeoutMs?: number;
+  private retryPolicy?: RetryPolicy;
+  private taskQueue = new PriorityQueue<QueuedTask<TTask, TResult>>();
+  private queueWaiters: Array<() => void> = [];
+  private runningTasks = 0;
+  private maxQueueSize: number;
+  private queueFullBehavior: 'reject' | 'wait';
+  private taskConcurrency: number;
+  private logger: SwarmLogger;
+  private rateLimiter?: RateLimiter;
+  private circuitBreakerOptions?: CircuitBreakerOptions;
+  private healthCheckTimeoutMs: number;
+  private unhealthyThreshold: number;
+  private healthCheckTimer?: NodeJS.Timeout;
+  private healthCheckInFlight?: Promise<AgentHealth[]>;
+  private crashRestarts: number;
+  private executionMode: ExecutionMode;
+  private state: 'open' | 'draining' | 'closed' = 'open';
+  /** Tasks being performed, whether called directly or drained from the submit() queue */
+  private activeTasks = 0;
+  private idleWaiters: Array<() => void> = [];
+  /** Aborted by a forced close to cut off every running task */
+  private shutdown = new AbortController();
+  private closing?: Promise<void>;
+  /** Set while drainQueue starts a queued task, which performTask accepts even when draining */
+  private startingQueuedTask = false;
+  private signalHandlers = new Map<NodeJS.Signals, () => void>();
+  private schemas: SwarmSchemas<TTask, TResult>;
+
+  constructor(maxThreads: number = 10, options: ConcurrentSwarmOptions<TTask, TResult> = {}) {
+    const failurePolicy = options.failurePolicy ?? 'fail-fast';
+    if (typeof failurePolicy === 'object' &&
+        (!Number.isInteger(failurePolicy.quorum) || failurePolicy.quorum < 1)) {
+      throw new Error('Quorum must be a positive integer');
+    }
+    assertTimeout('taskTimeoutMs', options.taskTimeoutMs);
+    assertTimeout('agentTimeoutMs', options.agentTimeoutMs);
+    if (options.retryPolicy) {
+      assertRetryPolicy(options.retryPolicy);
+    }
+    if (options.circuitBreaker) {
+      assertCircuitBreakerOptions(options.circuitBreaker);
+    }
+    if (options.executionMode !== undefined && !['thread', 'process', 'inline'].includes(options.executionMode)) {
+      throw new Error("executionMode must be 'thread', 'process' or 'inline'");
+    }
+    assertCrashRestarts(options.crashRestarts);
+    assertTimeout('shutdownTimeoutMs', options.shutdownTimeoutMs);
+    if (options.shutdownSignals !== undefined && !Array.isArray(options.shutdownSignals)) {
+      throw new Error('shutdownSignals must be an array of signal names');
+    }
+    assertTimeout('healthCheck.intervalMs', options.healthCheck?.intervalMs);
+    assertTimeout('healthCheck.timeoutMs', options.healthCheck?.timeoutMs);
+    if (options.healthCheck?.unhealthyThreshold !== undefined &&
+        (!Number.isInteger(options.healthCheck.unhealthyThreshold) || options.healthCheck.unhealthyThreshold < 1)) {
+      throw new Error('healthCheck.unhealthyThreshold must be a positive integer');
+    }
+    if (options.maxQueueSize !== undefined &&
+        (!Number.isInteger(options.maxQueueSize) || options.maxQueueSize < 1)) {
+      throw new Error('maxQueueSize must be a positive integer');
+    }
+    if (options.taskConcurrency !== undefined &&
+        (!Number.isInteger(options.taskConcurrency) || options.taskConcurrency < 1)) {
+      throw new Error('taskConcurrency must be a positive integer');
+    }
+    if (options.schemas !== undefined) {
+      assertSwarmSchemas(options.schemas);
+    }
 
-  constructor(maxThreads: number = 10) {
+    super();
     this.agents = [];
     this.maxThreads = maxThreads;
+    this.failurePolicy = failurePolicy;
+    this.taskTimeoutMs = options.taskTimeoutMs;
+    this.agentTimeoutMs = options.agentTimeoutMs;
+    this.retryPolicy = options.retryPolicy;
+    this.maxQueueSize = options.maxQueueSize ?? Infinity;
+    this.queueFullBehavior = options.queueFullBehavior ?? 'reject';
+    this.taskConcurrency = options.taskConcurrency ?? 1;
+    this.logger = options.logger ?? defaultLogger;
+    this.rateLimiter = options.rateLimiter;
+    this.circuitBreakerOptions = options.circuitBreaker;
+    this.healthCheckTimeoutMs = options.healthCheck?.timeoutMs ?? 5000;
+    this.unhealthyThreshold = options.healthCheck?.unhealthyThreshold ?? 1;
+    this.crashRestarts = options.crashRestarts ?? 0;
+    this.executionMode = options.executionMode ?? 'thread';
+    this.schemas = options.schemas ?? {};
+    this.pool = new WorkerPool({
+      size: maxThreads,
+      mode: this.executionMode === 'process' ? 'process' : 'thread',
+      maxTasksPerWorker: options.maxTasksPerWorker,
+      resourceLimits: options.resourceLimits,
+      onDisposeError: (error, agent) => this.reportModuleDisposeError(agent, error)
+    });
+
+    const intervalMs = options.healthCheck?.intervalMs;
+    if (intervalMs !== undefined) {
+      this.healthCheckTimer = setInterval(() => {
+        this.checkHealth().catch(() => undefined);
+      }, intervalMs);
+      // Probing alone should not keep the process alive
+      this.healthCheckTimer.unref();
+    }
+
+    for (const signal of options.shutdownSignals ?? []) {
+      const handler = () => {
+        this.logger.info('Closing swarm on signal', { signal: signal });
+        this.close({ timeoutMs: options.shutdownTimeoutMs })
+          .catch((error) => {
+            this.logger.error('Error closing swarm', { error: error instanceof Error ? error.message : String(error) });
+          })
+          .finally(() => {
+            // Our handler replaced the default behaviour of the signal, so give it back
+            if (process.listenerCount(signal) === 0) {
+              process.kill(process.pid, signal);
+            }
+          });
+      };
+      process.once(signal, handler);
+      this.signalHandlers.set(signal, handler);
+    }
+  }
+
+  /**
+   * Set the agent factory that adds an agent to every task. Factory agents run
+   * after the registered agents and are not part of listAgents. Replacing the
+   * factory disposes the previous factory's idle agents.
+   */
+  setAgentFactory(factory: AgentFactory<TTask, TResult>, options: AgentFactoryOptions = {}): void {
+    const previous = this.factoryPool;
+    // Factory agents get their own dispose() before the factory's
+    const lifecycle: AgentFactory<TTask, TResult> = {
+      createAgent: (task) => factory.createAgent(task),
+      dispose: async (agent) => {
+        const registered = this.factoryRegistrations.get(agent);
+        if (registered) {
+          await this.retireAgent(registered);
+        }
+        await factory.dispose?.(agent);
+      }
+    };
+    this.factoryPool = new FactoryAgentPool(lifecycle, options, (error) => {
+      this.logger.error('Failed to dispose factory agent', {
+        error: error instanceof Error ? error.message : String(error)
+      });
+    });
+    previous?.close().catch(() => undefined);
   }
 
   /**
-   * Set the agent factory for creating new agent instances
+   * Get live, idle and waiting counts for the factory agents, if a factory is set
    */
-  setAgentFactory(factory: AgentFactory): void {
-    this.agentFactory = factory;
+  getFactoryStats(): AgentFactoryStats | undefined {
+    return this.factoryPool?.getStats();
   }
 
   /**
-   * Add an agent to the swarm
+   * Add an agent to the swarm, returning its id. Besides AgentBase instances,
+   * which run their own task, this takes any agent with an agentName and a
+   * run() method; those are adapted with fromAgent and run the task being performed.
    */
-  addAgent(agent: AgentBase): void {
-    if (!(agent instanceof AgentBase)) {
-      throw new Error('Agent must be an instance of AgentBase');
+  addAgent(agent: AgentBase<TTask, TResult> | Agent<TTask, TResult>, options: AgentOptions = {}): string {
+    if (!(agent instanceof AgentBase) && !isAgent(agent)) {
+      throw new Error('Agent must be an instance of AgentBase or have an agentName and a run() method');
+    }
+
+    return this.register(agent instanceof AgentBase ? agent : fromAgent(agent), options);
+  }
+
+  /**
+   * Register an agent by module path so it runs on the swarm's worker pool,
+   * returning its id
+   */
+  addAgentModule(agentModule: AgentModule, options: AgentOptions = {}): string {
+    return this.register(resolveAgentModule(agentModule), options);
+  }
+
+  /**
+   * Remove an agent by id. Tasks already running keep using it until they
+   * finish. Returns false when no agent has the id.
+   */
+  removeAgent(id: string): boolean {
+    const index = this.agents.findIndex(registered => registered.id === id);
+    if (index === -1) {
+      return false;
     }
+    const [removed] = this.agents.splice(index, 1);
+    void this.retireAgent(removed as RegisteredAgent);
+    return true;
+  }
 
-    if (!agent.isReliable()) {
-      throw new Error('Agent is not reliable');
+  /**
+   * Swap the agent behind an id for a new one, keeping its id and position.
+   * The replacement starts with fresh health, circuit breaker and stats; its
+   * name defaults to the new agent's agentName or export name. Plain agents are
+   * adapted as in addAgent. Tasks already running keep using the old agent.
+   */
+  replaceAgent(id: string, agent: AgentBase<TTask, TResult> | Agent<TTask, TResult> | AgentModule,
+               options: Omit<AgentOptions, 'id'> = {}): void {
+    const index = this.agents.findIndex(registered => registered.id === id);
+    if (index === -1) {
+      throw new Error(`No agent with id ${id}`);
     }
 
-    this.agents.push(agent);
+    const replacement = agent instanceof AgentBase
+      ? agent
+      : 'modulePath' in agent ? resolveAgentModule(agent) : fromAgent(agent);
+    const previous = this.agents[index] as RegisteredAgent;
+    this.agents[index] = this.createRegistration(replacement, { ...options, id });
+    void this.retireAgent(previous);
   }
 
   /**
-   * Create a worker thread for an agent
+   * Describe every agent in order, with its health, breaker state and stats
    */
-  private createWorkerThread(agent: AgentBase, task: any): Promise<any> {
-    return new Promise((resolve, reject) => {
-      // Convert the agent's execute method to a worker function
-      const workerFunction: WorkerFunction = async (workerTask: any) => {
-        try {
-          return await agent.execute();
-        } catch (error) {
-          throw error;
-        }
-      };
+  listAgents(): AgentInfo[] {
+    return this.agents.map((registered, agentIndex) => ({
+      id: registered.id,
+      name: registered.name,
+      agentIndex,
+      kind: registered.agent instanceof AgentBase ? 'instance' : 'module',
+      health: registered.health.status,
+      circuitState: registered.breaker?.state,
+      stats: { ...registered.stats }
+    }));
+  }
+
+  /**
+   * Registration for a factory agent, reused while a pooled agent stays alive
+   */
+  private registerFactoryAgent(agent: AgentBase): RegisteredAgent {
+    let registered = this.factoryRegistrations.get(agent);
+    if (!registered) {
+      registered = this.createRegistration(agent, {});
+      this.factoryRegistrations.set(agent, registered);
+    }
+    return registered;
+  }
+
+  /**
+   * Validate an agent's options and add it to the swarm
+   */
+  private register(agent: AgentBase | AgentModule, options: AgentOptions): string {
+    if (options.id !== undefined && this.agents.some(registered => registered.id === options.id)) {
+      throw new Error(`An agent with id ${options.id} already exists`);
+    }
+
+    const registered = this.createRegistration(agent, options);
+    this.agents.push(registered);
+    return registered.id;
+  }
 
-      // Create worker code as a string
-      const workerCode = `
-        const { parentPort, workerData } = require('worker_threads');
-        (${workerFunction.toString()})(workerData)
-          .then(result => parentPort.postMessage(result))
-          .catch(error => parentPort.postMessage({ error: error.message }));
-      `;
-
-      // Create a new worker with the code
-      const worker = new Worker(workerCode, { 
-        eval: true,
-        workerData: task 
+  private createRegistration(agent: AgentBase | AgentModule, options: AgentOptions): RegisteredAgent {
+    assertTimeout('timeoutMs', options.timeoutMs);
+    assertCrashRestarts(options.crashRestarts);
+    if (options.retryPolicy) {
+      assertRetryPolicy(options.retryPolicy);
+    }
+
+    return {
+      id: options.id ?? randomUUID(),
+      name: options.name ?? describeAgent(agent),
+      agent,
+      options,
+      breaker: this.createBreaker(options),
+      health: { status: 'unknown', consecutiveFailures: 0 },
+      stats: { fulfilled: 0, rejected: 0, cancelled: 0, skipped: 0, totalDurationMs: 0 },
+      activeRuns: 0
+    };
+  }
+
+  /**
+   * The agent's own breaker, or a new one from the swarm's settings if it has any
+   */
+  private createBreaker(options: AgentOptions): CircuitBreaker | undefined {
+    if (options.circuitBreaker) {
+      return options.circuitBreaker;
+    }
+    return this.circuitBreakerOptions && new CircuitBreaker(this.circuitBreakerOptions);
+  }
+
+  /**
+   * Run an agent against a task. Module agents run according to the execution
+   * mode; agent instances execute on the main thread since they cannot be transferred.
+   */
+  private runAgent(registered: RegisteredAgent, task: any, signal: AbortSignal,
+                   onPartial: (chunk: unknown) => void): Promise<any> {
+    const { agent } = registered;
+    if (agent instanceof AgentBase) {
+      // Adapted agents have no task of their own and run the one being performed
+      const running = agent instanceof AdaptedAgent ? agent.run(task) : agent.executeStreaming(onPartial);
+      return raceAbort(running, signal);
+    }
+    return this.runModuleAgent(agent, task, 'execute', signal, {
+      onPartial,
+      onDisposeError: (error) => this.reportDisposeError(registered, error)
+    });
+  }
+
+  /**
+   * Call execute() or healthCheck() on a module agent, on a pooled worker or,
+   * in 'inline' mode, on the main thread
+   */
+  private runModuleAgent(agent: AgentModule, task: any, method: 'execute' | 'healthCheck',
+                         signal: AbortSignal, listeners: JobListeners = {}): Promise<any> {
+    if (this.executionMode === 'inline') {
+      listeners.onStart?.();
+      return raceAbort(this.inlineAgents.call(agent, task, method, listeners), signal);
+    }
+    return this.pool.run({
+      modulePath: agent.modulePath,
+      exportName: agent.exportName,
+      args: agent.args,
+      task,
+      method
+    }, signal, listeners);
+  }
+
+  /**
+   * Call init() on an agent instance before its first run. Module agents are
+   * initialized by whatever runs them. A failed init is tried again next run.
+   */
+  private initAgent(registered: RegisteredAgent): Promise<void> {
+    const { agent } = registered;
+    if (!(agent instanceof AgentBase)) {
+      return Promise.resolve();
+    }
+
+    registered.initialized ??= Promise.resolve()
+      .then(() => agent.init())
+      .catch((error) => {
+        registered.initialized = undefined;
+        throw new AgentLifecycleError(`Agent failed to initialize: ${errorMessage(error)}`, 'init', error);
       });
+    return registered.initialized;
+  }
 
-      worker.on('message', (result) => {
-        if (result && result.error) {
-          reject(new Error(result.error));
-        } else {
-          resolve(result);
-        }
+  /**
+   * Count a run or probe of the agent, so a retired agent is only disposed once it is idle
+   */
+  private async useAgent<T>(registered: RegisteredAgent, use: () => Promise<T>): Promise<T> {
+    registered.activeRuns++;
+    try {
+      return await use();
+    } finally {
+      registered.activeRuns--;
+      if (registered.activeRuns === 0) {
+        registered.onIdle?.();
+      }
+    }
+  }
+
+  /**
+   * Let go of an agent: it is disposed once its active runs have finished
+   */
+  private retireAgent(registered: RegisteredAgent): Promise<void> {
+    registered.disposal ??= new Promise<void>((resolve) => {
+      if (registered.activeRuns === 0) {
+        resolve();
+      } else {
+        registered.onIdle = resolve;
+      }
+    }).then(() => this.disposeAgent(registered));
+    return registered.disposal;
+  }
+
+  /**
+   * Call dispose() on an agent instance whose init() succeeded. Failures are
+   * reported, never thrown.
+   */
+  private async disposeAgent(registered: RegisteredAgent): Promise<void> {
+    const { agent, initialized } = registered;
+    registered.initialized = undefined;
+    if (!(agent instanceof AgentBase) || !initialized) {
+      return;
+    }
+
+    try {
+      await initialized;
+    } catch {
+      return;
+    }
+    try {
+      await agent.dispose();
+    } catch (error) {
+      this.reportDisposeError(
+        registered,
+        new AgentLifecycleError(`Agent failed to dispose: ${errorMessage(error)}`, 'dispose', error)
+      );
+    }
+  }
+
+  /**
+   * Report a failed dispose() of a kept module agent instance under the agent
+   * it was created for, or only log it when that agent has been removed
+   */
+  private reportModuleDisposeError(agentModule: AgentModule, error: AgentLifecycleError): void {
+    const key = moduleAgentKey(agentModule);
+    const registered = this.agents.find(({ agent }) => !(agent instanceof AgentBase) && moduleAgentKey(agent) === key);
+    if (registered) {
+      this.reportDisposeError(registered, error);
+    } else {
+      this.logger.error('Agent dispose failed', { modulePath: agentModule.modulePath, error: error.message });
+    }
+  }
+
+  private reportDisposeError(registered: RegisteredAgent, error: AgentLifecycleError): void {
+    this.logger.error('Agent dispose failed', { agentId: registered.id, error: error.message });
+    this.emit('agent:dispose-error', {
+      swarm: 'ConcurrentSwarm',
+      timestamp: Date.now(),
+      agentName: registered.name,
+      agentId: registered.id,
+      error
+    });
+  }
+
+  /**
+   * Wait for rate limiter capacity for one run of the agent. Waiting does not
+   * count against the agent's time limit but stops when the task is cut off.
+   */
+  private async acquireCapacity(registered: RegisteredAgent, task: any, signal: AbortSignal): Promise<void> {
+    if (this.rateLimiter) {
+      await this.rateLimiter.acquire(registered.options.rateLimitKey, {
+        tokens: this.rateLimiter.estimateTokens(task),
+        signal
       });
+    }
+  }
 
-      worker.on('error', reject);
+  /**
+   * Run one agent under its own abort controller, linked to the task's signal
+   * and to the agent's time limit if it has one
+   */
+  private async runAgentWithTimeout(registered: RegisteredAgent, agentIndex: number, task: any,
+                                    signal: AbortSignal, onPartial: (chunk: unknown) => void): Promise<any> {
+    const controller = new AbortController();
+    const unlink = linkSignal(signal, controller);
+    const timeoutMs = registered.options.timeoutMs ?? this.agentTimeoutMs;
+    const timer = timeoutMs === undefined ? undefined : setTimeout(() => {
+      controller.abort(new TimeoutError(`Agent ${agentIndex} timed out after ${timeoutMs}ms`, timeoutMs));
+    }, timeoutMs);
 
-      worker.on('exit', (code) => {
-        if (code !== 0) {
-          reject(new Error(`Worker stopped with exit code ${code}`));
-        }
-        worker.removeAllListeners();
+    try {
+      return await this.useAgent(registered, async () => {
+        await raceAbort(this.initAgent(registered), controller.signal);
+        return this.runAgent(registered, task, controller.signal, onPartial);
       });
-    });
+    } finally {
+      clearTimeout(timer);
+      unlink();
+    }
   }
 
   /**
-   * Use the swarm to perform a task
+   * Check an agent's result against the result schema, if there is one. An
+   * invalid result fails the attempt, so the agent's retry policy applies.
    */
-  async performTask(task: any): Promise<void> {
+  private validateResult(result: unknown, task: TTask, agentIndex: number): TResult {
     try {
-      // Create new agent instances if factory is available
-      if (this.agentFactory) {
-        const newAgent = this.agentFactory.createAgent(task);
-        this.addAgent(newAgent);
+      return validate(this.schemas.result, result, 'result');
+    } catch (error) {
+      this.logger.warn('Agent result failed validation', {
+        task: task,
+        agentIndex: agentIndex,
+        error: (error as Error).message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Run one agent, re-running it in a fresh worker when its worker crashes
+   * until its crash restarts are used up. Each run gets the full time limit.
+   */
+  private async runAgentWithRestarts(registered: RegisteredAgent, agentIndex: number, task: any,
+                                     signal: AbortSignal, onPartial: (chunk: unknown) => void): Promise<any> {
+    const crashRestarts = registered.options.crashRestarts ?? this.crashRestarts;
+    for (let restarts = 0; ; restarts++) {
+      try {
+        return await this.runAgentWithTimeout(registered, agentIndex, task, signal, onPartial);
+      } catch (error) {
+        if (!(error instanceof WorkerCrashError) || restarts >= crashRestarts || signal.aborted) {
+          throw error;
+        }
+        this.logger.warn('Restarting agent after worker crash', {
+          task: task,
+          agentIndex: agentIndex,
+          reason: error.reason,
+          error: error.message
+        });
       }
+    }
+  }
+
+  /**
+   * Run agents keeping up to maxThreads in flight, starting the next agent as
+   * soon as any slot frees. Once the failure policy is decided the remaining
+   * agents are cancelled and reported as such. A task timeout or an aborted
+   * signal cuts off every agent still running and rejects with its reason.
+   */
+  private async runWithSlidingWindow(agents: RegisteredAgent[], task: TTask,
+                                     options: PerformTaskOptions): Promise<AgentResult<TResult>[]> {
+    const policy = this.failurePolicy;
+    const quorum = typeof policy === 'object' ? policy.quorum : undefined;
+    const cancellation = new Error('Agent cancelled by failure policy');
+    const controller = new AbortController();
+    const results: AgentResult<TResult>[] = [];
+    const cutOff: number[] = [];
+    let nextIndex = 0;
+    let fulfilled = 0;
+    let rejected = 0;
+    let skipped = 0;
+    let firstError: Error | undefined;
+
+    // performTask times the task out through the signal, with a TimeoutError
+    const { signal } = options;
+    const onAbort = () => controller.abort(cutOffError(signal?.reason));
+    if (signal?.aborted) {
+      onAbort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-      // Split the agents into groups based on the maximum number of threads
-      const agentGroups: AgentBase[][] = [];
-      for (let i = 0; i < this.agents.length; i += this.maxThreads) {
-        agentGroups.push(this.agents.slice(i, i + this.maxThreads));
+    // Record an agent's result and fold it into the agent's stats
+    const settle = (registered: RegisteredAgent, result: Omit<AgentResult<TResult>, 'agentId' | 'agentName'>) => {
+      results.push({ ...result, agentId: registered.id, agentName: registered.name });
+      const { stats } = registered;
+      stats[result.status]++;
+      stats.totalDurationMs += result.durationMs;
+      if (result.status === 'fulfilled' || result.status === 'rejected') {
+        stats.lastRunAt = Date.now();
       }
+    };
+
+    const runSlot = async (): Promise<void> => {
+      while (!controller.signal.aborted && nextIndex < agents.length) {
+        const agentIndex = nextIndex++;
+        const registered = agents[agentIndex] as RegisteredAgent;
+        const agentEvent = {
+          swarm: 'ConcurrentSwarm',
+          agentName: registered.name,
+          agentId: registered.id,
+          agentIndex,
+          task
+        };
+        const { breaker } = registered;
+        // Checked before the breaker so a quarantined agent does not claim its half-open trial
+        const error = registered.health.status === 'quarantined'
+          ? new AgentUnhealthyError(`Agent ${agentIndex} is quarantined after failed health checks`, agentEvent.agentName)
+          : breaker && !breaker.allowRequest()
+            ? new CircuitOpenError(`Circuit breaker for agent ${agentIndex} is open`, agentEvent.agentName)
+            : undefined;
+        if (error) {
+          settle(registered, { agentIndex, status: 'skipped', error, durationMs: 0, attempts: 0 });
+          skipped++;
+          this.logger.warn('Agent skipped', { task: task, agentIndex: agentIndex, reason: error.message });
+          this.emit('agent:skipped', { ...agentEvent, timestamp: Date.now(), reason: error.message });
 
-      // Execute each group of agents concurrently
-      for (const agentGroup of agentGroups) {
+          if (quorum !== undefined && agents.length - rejected - skipped < quorum) {
+            controller.abort(cancellation);
+          }
+          continue;
+        }
+
+        const start = performance.now();
+        let attempts = 0;
+        // Partials arrive from worker messages, so a throwing listener is logged rather than thrown
+        const onPartial = (chunk: unknown) => {
+          if (controller.signal.aborted) {
+            return;
+          }
+          try {
+            this.emit('agent:partial', { ...agentEvent, timestamp: Date.now(), attempt: attempts, chunk });
+            options.onPartial?.({ agentIndex, agentId: registered.id, agentName: registered.name, attempt: attempts, chunk });
+          } catch (error) {
+            this.logger.error('Partial result listener failed', {
+              task: task,
+              agentIndex: agentIndex,
+              error: error instanceof Error ? error.message : String(error)
+            });
+          }
+        };
+        this.emit('agent:start', { ...agentEvent, timestamp: Date.now() });
         try {
-          // Create a promise for each agent in the group
-          const promises = agentGroup.map(agent => 
-            this.createWorkerThread(agent, task)
+          const result = await withRetry(
+            async (attempt) => {
+              attempts = attempt;
+              await this.acquireCapacity(registered, task, controller.signal);
+              const result = await this.runAgentWithRestarts(registered, agentIndex, task, controller.signal, onPartial);
+              this.rateLimiter?.recordUsage(registered.options.rateLimitKey, this.rateLimiter.estimateTokens(result));
+              return this.validateResult(result, task, agentIndex);
+            },
+            registered.options.retryPolicy ?? this.retryPolicy,
+            {
+              signal: controller.signal,
+              onRetry: (retry) => {
+                this.logger.warn('Retrying agent', {
+                  task: task,
+                  agentIndex: agentIndex,
+                  attempt: retry.attempt,
+                  delayMs: retry.delayMs,
+                  error: retry.error
+                });
+                this.emit('agent:retry', { ...agentEvent, timestamp: Date.now(), attempt: retry });
+              }
+            }
           );
-
-          // Wait for all promises to resolve
-          const results = await Promise.all(promises);
-          
-          logger.info({
-            message: 'Task completed',
-            task: task,
-            results: results
+          const durationMs = performance.now() - start;
+          breaker?.recordSuccess();
+          settle(registered, { agentIndex, status: 'fulfilled', result, durationMs, attempts });
+          fulfilled++;
+          this.emit('agent:response', {
+            ...agentEvent,
+            timestamp: Date.now(),
+            response: result,
+            duration: durationMs,
+            attempts
           });
+
+          if (quorum !== undefined && fulfilled >= quorum) {
+            controller.abort(cancellation);
+          }
         } catch (error) {
-          logger.error({
-            message: 'Error in agent group execution',
+          if (error === cancellation) {
+            breaker?.release();
+            settle(registered, { agentIndex, status: 'cancelled', durationMs: performance.now() - start, attempts });
+            continue;
+          }
+          if (controller.signal.aborted && error === controller.signal.reason) {
+            breaker?.release();
+            cutOff.push(agentIndex);
+            settle(registered, {
+              agentIndex,
+              status: 'cancelled',
+              error: error as Error,
+              durationMs: performance.now() - start,
+              attempts
+            });
+            continue;
+          }
+
+          const agentError = error instanceof Error ? error : new Error(String(error));
+          settle(registered, {
+            agentIndex,
+            status: 'rejected',
+            error: agentError,
+            durationMs: performance.now() - start,
+            attempts,
+            ...(agentError instanceof WorkerCrashError && { crash: agentError.reason })
+          });
+          rejected++;
+          breaker?.recordFailure(agentError);
+          firstError ??= agentError;
+          this.emit('agent:error', { ...agentEvent, timestamp: Date.now(), error: agentError });
+
+          const message = agentError instanceof TimeoutError
+            ? 'Agent timed out'
+            : agentError instanceof WorkerCrashError
+              ? 'Agent worker crashed'
+              : agentError instanceof AgentLifecycleError ? 'Agent init failed' : 'Error in agent execution';
+          this.logger.error(message, {
             task: task,
-            error: error instanceof Error ? error.message : 'Unknown error'
+            agentIndex: agentIndex,
+            error: agentError.message
           });
-          throw error;
+
+          if (policy === 'fail-fast' || (quorum !== undefined && agents.length - rejected - skipped < quorum)) {
+            controller.abort(cancellation);
+          }
+        }
+      }
+    };
+
+    try {
+      const slots = Math.min(this.maxThreads, agents.length);
+      await Promise.all(Array.from({ length: slots }, runSlot));
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+    }
+
+    for (let agentIndex = nextIndex; agentIndex < agents.length; agentIndex++) {
+      settle(agents[agentIndex] as RegisteredAgent, { agentIndex, status: 'cancelled', durationMs: 0, attempts: 0 });
+    }
+    results.sort((a, b) => a.agentIndex - b.agentIndex);
+
+    const reason = controller.signal.reason;
+    if (reason instanceof TimeoutError || reason instanceof AbortError) {
+      this.logger.error('Agents cut off', {
+        task: task,
+        reason: reason.message,
+        agentIndices: cutOff.concat(
+          Array.from({ length: agents.length - nextIndex }, (_, i) => nextIndex + i)
+        )
+      });
+      throw reason;
+    }
+
+    if (policy === 'fail-fast' && firstError) {
+      throw firstError;
+    }
+    if (quorum !== undefined && fulfilled < quorum) {
+      throw new SwarmExecutionError(
+        `Quorum of ${quorum} not reached: ${fulfilled} of ${agents.length} agents succeeded`,
+        results
+      );
+    }
+    return results;
+  }
+
+  /**
+   * Use the swarm to perform a task, resolving to one result per agent in agent order.
+   * Rejects with a TimeoutError or AbortError if the task is cut off before it settles,
+   * and with a SwarmClosedError once the swarm is draining or closed.
+   */
+  async performTask(task: TTask, options: PerformTaskOptions = {}): Promise<AgentResult<TResult>[]> {
+    // Tasks submitted before the swarm started draining still run, and were validated by submit()
+    if (!this.startingQueuedTask) {
+      this.assertOpen();
+      task = validate(this.schemas.task, task, 'task');
+    }
+
+    const start = performance.now();
+    // A forced close cuts the task off like an aborted signal would
+    const controller = new AbortController();
+    const unlinkShutdown = linkSignal(this.shutdown.signal, controller);
+    const unlinkCaller = options.signal ? linkSignal(options.signal, controller) : () => undefined;
+    this.activeTasks++;
+    this.emit('swarm:start', { swarm: 'ConcurrentSwarm', timestamp: Date.now() });
+    let timer: NodeJS.Timeout | undefined;
+    try {
+      assertTimeout('timeoutMs', options.timeoutMs);
+      // Started ahead of the factory agent, so waiting for one counts against the timeout too
+      const timeoutMs = options.timeoutMs ?? this.taskTimeoutMs;
+      if (timeoutMs !== undefined) {
+        timer = setTimeout(() => {
+          controller.abort(new TimeoutError(`Task timed out after ${timeoutMs}ms`, timeoutMs));
+        }, timeoutMs);
+      }
+
+      const agents = this.agents.slice();
+      const factoryPool = this.factoryPool;
+      const factoryAgent = await factoryPool?.acquire(task, controller.signal).catch((error) => {
+        throw controller.signal.aborted && error === controller.signal.reason ? cutOffError(error) : error;
+      });
+      let results: AgentResult<TResult>[];
+      try {
+        if (factoryAgent) {
+          agents.push(this.registerFactoryAgent(factoryAgent));
+        }
+        results = await this.runWithSlidingWindow(agents, task, { ...options, signal: controller.signal });
+      } finally {
+        if (factoryAgent) {
+          await factoryPool?.release(factoryAgent);
         }
       }
+
+      this.logger.info('Task completed', {
+        task: task,
+        results: results.map(({ result }) => result)
+      });
+
+      this.emit('swarm:end', { swarm: 'ConcurrentSwarm', timestamp: Date.now(), duration: performance.now() - start });
+      return results;
     } catch (error) {
-      logger.error({
-        message: 'Task execution failed',
+      this.logger.error('Task execution failed', {
         task: task,
         error: error instanceof Error ? error.message : 'Unknown error'
       });
+      this.emit('swarm:end', {
+        swarm: 'ConcurrentSwarm',
+        timestamp: Date.now(),
+        duration: performance.now() - start,
+        error: error instanceof Error ? error : new Error(String(error))
+      });
       throw error;
+    } finally {
+      clearTimeout(timer);
+      unlinkShutdown();
+      unlinkCaller();
+      this.activeTasks--;
+      this.notifyIdle();
+    }
+  }
+
+  /**
+   * Perform a task and merge the fulfilled results, in agent order, with the
+   * aggregation strategy. Rejects like performTask, or with an AggregationError
+   * when no agent succeeded or the strategy cannot pick a value.
+   */
+  async aggregateTask(task: TTask, strategy: AggregationStrategy,
+                      options: PerformTaskOptions = {}): Promise<AggregatedResults<TResult>> {
+    assertAggregationStrategy(strategy);
+    const results = await this.performTask(task, options);
+    const candidates = results
+      .filter(result => result.status === 'fulfilled')
+      .map(result => ({ agentName: result.agentName, response: result.result }));
+
+    const merged = await aggregate(strategy, candidates, task);
+    this.logger.info('Responses aggregated', {
+      task: task,
+      strategy: merged.strategy,
+      agentNames: merged.agentNames
+    });
+    return { aggregate: merged, results };
+  }
+
+  /**
+   * Perform a task, yielding the partial results agents stream as they arrive
+   * and then the results performTask would resolve to. Throws what performTask
+   * would reject with; leaving the loop early aborts the task. The task starts
+   * when iteration does.
+   */
+  streamTask(task: TTask, options: PerformTaskOptions = {}): AsyncIterableIterator<TaskStreamEvent<TResult>> {
+    const controller = new AbortController();
+    return streamRun((onPartial) => {
+      const unlink = options.signal ? linkSignal(options.signal, controller) : () => undefined;
+      return this.performTask(task, {
+        ...options,
+        signal: controller.signal,
+        onPartial: (partial) => {
+          options.onPartial?.(partial);
+          onPartial(partial);
+        }
+      }).finally(unlink);
+    }, controller);
+  }
+
+  /**
+   * Queue a task to be performed by the swarm, resolving with the same results
+   * as performTask. Tasks are drained in priority order, taskConcurrency at a time.
+   * When the queue is full the call rejects with a QueueFullError, or waits for
+   * space if queueFullBehavior is 'wait'.
+   */
+  async submit(task: TTask, options: SubmitOptions = {}): Promise<AgentResult<TResult>[]> {
+    const { signal } = options;
+    this.assertOpen();
+    // Validated up front so an invalid task never takes a place in the queue
+    const parsed = validate(this.schemas.task, task, 'task');
+    if (options.priority !== undefined && !Number.isFinite(options.priority)) {
+      throw new TypeError('priority must be a finite number');
+    }
+    if (signal?.aborted) {
+      throw new AbortError('Task was aborted', signal.reason);
+    }
+
+    while (this.taskQueue.size >= this.maxQueueSize) {
+      if (this.queueFullBehavior === 'reject') {
+        throw new QueueFullError(`Task queue is full (${this.maxQueueSize} tasks)`, this.maxQueueSize);
+      }
+      await this.waitForQueueSpace(signal);
+      // Waiting producers are woken when the swarm starts draining
+      this.assertOpen();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        if (this.taskQueue.remove(queued)) {
+          reject(new AbortError('Task was aborted', signal?.reason));
+          this.releaseQueueSpace();
+        }
+      };
+      const queued: QueuedTask<TTask, TResult> = {
+        task: parsed,
+        options,
+        resolve: (results) => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve(results);
+        },
+        reject: (error) => {
+          signal?.removeEventListener('abort', onAbort);
+          reject(error);
+        }
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.taskQueue.push(queued, options.priority ?? 0);
+      this.drainQueue();
+    });
+  }
+
+  /**
+   * Get queued, running and waiting counts for the submit() queue
+   */
+  getQueueStats(): TaskQueueStats {
+    return {
+      queued: this.taskQueue.size,
+      running: this.runningTasks,
+      waiting: this.queueWaiters.length
+    };
+  }
+
+  /**
+   * Start queued tasks while fewer than taskConcurrency are running
+   */
+  private drainQueue(): void {
+    while (this.runningTasks < this.taskConcurrency && this.taskQueue.size > 0) {
+      const queued = this.taskQueue.pop() as QueuedTask<TTask, TResult>;
+      this.runningTasks++;
+      this.releaseQueueSpace();
+
+      this.startingQueuedTask = true;
+      const running = this.performTask(queued.task, queued.options);
+      this.startingQueuedTask = false;
+
+      running
+        .then(queued.resolve, queued.reject)
+        .finally(() => {
+          this.runningTasks--;
+          this.drainQueue();
+          this.notifyIdle();
+        });
+    }
+  }
+
+  /**
+   * Block a producer until a queued task leaves the queue
+   */
+  private waitForQueueSpace(signal?: AbortSignal): Promise<void> {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        this.queueWaiters.splice(this.queueWaiters.indexOf(wake), 1);
+        reject(new AbortError('Task was aborted', signal?.reason));
+      };
+      const wake = () => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queueWaiters.push(wake);
+    });
+  }
+
+  /**
+   * Wake the longest-waiting producer after a task leaves the queue
+   */
+  private releaseQueueSpace(): void {
+    this.queueWaiters.shift()?.();
+  }
+
+  /**
+   * Probe every agent's healthCheck() now, quarantining agents that fail
+   * unhealthyThreshold probes in a row and releasing quarantined agents that
+   * pass. Calls made while a round is running share its result.
+   */
+  checkHealth(): Promise<AgentHealth[]> {
+    this.healthCheckInFlight ??= Promise.all(this.agents.map((registered) => this.probeAgent(registered)))
+      .then(() => this.getAgentHealth())
+      .finally(() => {
+        this.healthCheckInFlight = undefined;
+      });
+    return this.healthCheckInFlight;
+  }
+
+  /**
+   * Get the health of every agent as of its last probe, in agent order
+   */
+  getAgentHealth(): AgentHealth[] {
+    return this.agents.map((registered, agentIndex) => ({
+      agentIndex,
+      agentId: registered.id,
+      agentName: registered.name,
+      ...registered.health
+    }));
+  }
+
+  /**
+   * Stop the periodic probing started by the healthCheck.intervalMs option
+   */
+  stopHealthChecks(): void {
+    clearInterval(this.healthCheckTimer);
+    this.healthCheckTimer = undefined;
+  }
+
+  /**
+   * Probe one agent and update its health. Module agents are probed on the
+   * worker pool, so a probe may wait behind running agents; its timeout starts
+   * once a worker picks it up.
+   */
+  private async probeAgent(registered: RegisteredAgent): Promise<void> {
+    const { agent, health } = registered;
+    const controller = new AbortController();
+    const timeoutMs = this.healthCheckTimeoutMs;
+    let timer: ReturnType<typeof setTimeout> | undefined;
+    const startTimer = () => {
+      timer = setTimeout(() => {
+        controller.abort(new TimeoutError(`Health check timed out after ${timeoutMs}ms`, timeoutMs));
+      }, timeoutMs);
+    };
+
+    try {
+      const healthy = agent instanceof AgentBase
+        ? await this.useAgent(registered, () => {
+          startTimer();
+          return raceAbort(this.initAgent(registered).then(() => agent.healthCheck()), controller.signal);
+        })
+        : await this.runModuleAgent(agent, undefined, 'healthCheck', controller.signal, {
+          onStart: startTimer,
+          onDisposeError: (error) => this.reportDisposeError(registered, error)
+        });
+      if (!healthy) {
+        throw new Error('Agent reported itself unhealthy');
+      }
+
+      const recovered = health.status === 'quarantined';
+      Object.assign(health, { status: 'healthy', consecutiveFailures: 0, lastCheckedAt: Date.now() });
+      if (recovered && this.agents.includes(registered)) {
+        const agentIndex = this.agents.indexOf(registered);
+        this.logger.info('Agent recovered', { agentIndex: agentIndex });
+        this.emit('agent:recovered', {
+          swarm: 'ConcurrentSwarm',
+          agentName: registered.name,
+          agentId: registered.id,
+          agentIndex,
+          timestamp: Date.now()
+        });
+      }
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      const wasQuarantined = health.status === 'quarantined';
+      health.consecutiveFailures++;
+      health.lastCheckedAt = Date.now();
+      health.lastError = message;
+      health.status = health.consecutiveFailures >= this.unhealthyThreshold ? 'quarantined' : 'unhealthy';
+
+      if (health.status === 'quarantined' && !wasQuarantined && this.agents.includes(registered)) {
+        const agentIndex = this.agents.indexOf(registered);
+        this.logger.warn('Agent quarantined', { agentIndex: agentIndex, error: message });
+        this.emit('agent:quarantined', {
+          swarm: 'ConcurrentSwarm',
+          agentName: registered.name,
+          agentId: registered.id,
+          agentIndex,
+          timestamp: Date.now(),
+          error: message
+        });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Stop accepting tasks and wait for running and queued ones to finish.
+   * performTask, submit and streamTask reject with a SwarmClosedError from now on.
+   */
+  async drain(): Promise<void> {
+    this.stopAccepting();
+    if (this.isIdle()) {
+      return;
+    }
+    await new Promise<void>((resolve) => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Drain the swarm, then stop health checks, dispose idle factory agents,
+   * terminate the workers and flush the logger. With force, running tasks are
+   * aborted and queued ones rejected with a SwarmClosedError instead of awaited.
+   * Calling close again returns the same promise, though force still applies.
+   */
+  close(options: CloseOptions = {}): Promise<void> {
+    assertTimeout('timeoutMs', options.timeoutMs);
+    if (options.force) {
+      this.cutOff();
+    }
+    this.closing ??= this.finishClose(options.timeoutMs);
+    return this.closing;
+  }
+
+  private async finishClose(timeoutMs?: number): Promise<void> {
+    const timer = timeoutMs === undefined ? undefined : setTimeout(() => {
+      this.logger.warn('Forcing close after timeout', { timeoutMs: timeoutMs, tasks: this.activeTasks });
+      this.cutOff();
+    }, timeoutMs);
+    try {
+      await this.drain();
+    } finally {
+      clearTimeout(timer);
+    }
+
+    this.state = 'closed';
+    for (const [signal, handler] of this.signalHandlers) {
+      process.off(signal, handler);
+    }
+    this.signalHandlers.clear();
+    this.stopHealthChecks();
+    await Promise.all(this.agents.map(registered => this.retireAgent(registered)));
+    await this.factoryPool?.close();
+    await this.inlineAgents.close((error, agent) => this.reportModuleDisposeError(agent, error));
+    await this.pool.destroy();
+    await this.logger.flush?.();
+  }
+
+  /**
+   * Reject queued tasks and abort running ones
+   */
+  private cutOff(): void {
+    this.stopAccepting();
+    const error = new SwarmClosedError('Swarm was closed');
+    for (const queued of this.taskQueue.drain()) {
+      queued.reject(error);
+    }
+    this.shutdown.abort(error);
+    this.notifyIdle();
+  }
+
+  private stopAccepting(): void {
+    if (this.state !== 'open') {
+      return;
+    }
+    this.state = 'draining';
+    for (const wake of this.queueWaiters.splice(0)) {
+      wake();
+    }
+  }
+
+  /**
+   * Resolve drain() callers once no task is running or queued
+   */
+  private notifyIdle(): void {
+    if (this.isIdle()) {
+      for (const resolve of this.idleWaiters.splice(0)) {
+        resolve();
+      }
+    }
+  }
+
+  private isIdle(): boolean {
+    return this.activeTasks === 0 && this.runningTasks === 0 && this.taskQueue.size === 0;
+  }
+
+  private assertOpen(): void {
+    if (this.state !== 'open') {
+      throw new SwarmClosedError(`Swarm is ${this.state} and no longer accepts tasks`);
     }
   }
 
@@ -165,18 +1762,28 @@ class ConcurrentSwarm {
     return this.agents.length;
   }
 
+  /**
+   * Get idle, busy and queued counts for the worker pool; always idle in 'inline' mode
+   */
+  getPoolStats(): WorkerPoolStats {
+    return this.pool.getStats();
+  }
+
   /**
    * Remove all agents from the swarm
    */
   clearAgents(): void {
-    this.agents = [];
+    for (const registered of this.agents.splice(0)) {
+      void this.retireAgent(registered);
+    }
   }
 
   /**
    * Static method to create a new swarm
    */
-  static create(maxThreads: number): ConcurrentSwarm {
-    return new ConcurrentSwarm(maxThreads);
+  static create<TTask = any, TResult = any>(maxThreads: number,
+                                            options?: ConcurrentSwarmOptions<TTask, TResult>): ConcurrentSwarm<TTask, TResult> {
+    return new ConcurrentSwarm<TTask, TResult>(maxThreads, options);
   }
 }
 
@@ -0,0 +1,159 @@
+import type { AgentResult } from './concurrent_swarm';
+
+/**
+ * Raised when a swarm cannot satisfy its failure policy. Carries the
+ * per-agent results gathered before the swarm gave up.
+ */
+export class SwarmExecutionError extends Error {
+  readonly results: AgentResult[];
+
+  constructor(message: string, results: AgentResult[]) {
+    super(message);
+    this.name = 'SwarmExecutionError';
+    this.results = results;
+  }
+}
+
+/**
+ * Raised when a task or an agent exceeds its time limit
+ */
+export class TimeoutError extends Error {
+  readonly timeoutMs: number;
+
+  constructor(message: string, timeoutMs: number) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Raised when a task is cancelled through its AbortSignal
+ */
+export class AbortError extends Error {
+  constructor(message: string, reason?: unknown) {
+    super(message, { cause: reason });
+    this.name = 'AbortError';
+  }
+}
+
+/**
+ * Raised by submit() when the task queue is full and the swarm is set to reject
+ */
+export class QueueFullError extends Error {
+  readonly maxQueueSize: number;
+
+  constructor(message: string, maxQueueSize: number) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.maxQueueSize = maxQueueSize;
+  }
+}
+
+/**
+ * Raised when an agent is not called because its circuit breaker is open
+ */
+export class CircuitOpenError extends Error {
+  readonly agentName: string;
+
+  constructor(message: string, agentName: string) {
+    super(message);
+    this.name = 'CircuitOpenError';
+    this.agentName = agentName;
+  }
+}
+
+/**
+ * Raised when an agent is not called because failed health checks have quarantined it
+ */
+export class AgentUnhealthyError extends Error {
+  readonly agentName: string;
+
+  constructor(message: string, agentName: string) {
+    super(message);
+    this.name = 'AgentUnhealthyError';
+    this.agentName = agentName;
+  }
+}
+
+/**
+ * How a worker running an agent died:
+ * - 'out-of-memory' when it hit its resourceLimits
+ * - 'exit' when it exited, e.g. through process.exit()
+ * - 'error' when it threw an uncaught error outside the agent's execute()
+ */
+export type WorkerCrashReason = 'out-of-memory' | 'exit' | 'error';
+
+/**
+ * Raised for a job whose worker thread died while running it
+ */
+export class WorkerCrashError extends Error {
+  readonly reason: WorkerCrashReason;
+  /** Exit code of the worker, set when reason is 'exit' */
+  readonly exitCode?: number;
+
+  constructor(message: string, reason: WorkerCrashReason, exitCode?: number, cause?: unknown) {
+    super(message, { cause });
+    this.name = 'WorkerCrashError';
+    this.reason = reason;
+    this.exitCode = exitCode;
+  }
+}
+
+/**
+ * Raised for tasks a swarm refuses or drops because it is draining or closed
+ */
+export class SwarmClosedError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'SwarmClosedError';
+  }
+}
+
+/**
+ * Raised when an aggregation strategy cannot produce a value, e.g. because
+ * no agent succeeded or the judge agent did not pick a response
+ */
+export class AggregationError extends Error {
+  readonly strategy: string;
+
+  constructor(message: string, strategy: string) {
+    super(message);
+    this.name = 'AggregationError';
+    this.strategy = strategy;
+  }
+}
+
+/** Lifecycle hook of an agent that failed */
+export type AgentLifecyclePhase = 'init' | 'dispose';
+
+/**
+ * Raised when an agent's init() or dispose() hook fails, as opposed to its
+ * execute(). The hook's own error is the cause.
+ */
+export class AgentLifecycleError extends Error {
+  readonly phase: AgentLifecyclePhase;
+
+  constructor(message: string, phase: AgentLifecyclePhase, cause?: unknown) {
+    super(message, { cause });
+    this.name = 'AgentLifecycleError';
+    this.phase = phase;
+  }
+}
+
+/** What a schema was checking when it failed */
+export type ValidationTarget = 'task' | 'result';
+
+/**
+ * Raised when a task or an agent's result does not match its schema. The
+ * schema's own error is the cause.
+ */
+export class ValidationError extends Error {
+  readonly target: ValidationTarget;
+
+  constructor(message: string, target: ValidationTarget, cause?: unknown) {
+    super(message, { cause });
+    this.name = 'ValidationError';
+    this.target = target;
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Typed lifecycle events for swarms
+ *
+ * ConcurrentSwarm is itself a SwarmEventEmitter; the swarm architectures
+ * emit on the emitter passed through their options.
+ *
+ * @module events
+ */
+
+import { EventEmitter } from 'events';
+import type { RetryAttempt } from './retry';
+
+/** Fields shared by every swarm event */
+interface SwarmEventBase {
+  /** Name of the swarm emitting the event, e.g. 'starSwarm' or 'ConcurrentSwarm' */
+  swarm: string;
+  timestamp: number;
+}
+
+/** Fields shared by every agent event */
+interface AgentEventBase extends SwarmEventBase {
+  agentName: string;
+  /** Position of the agent in a ConcurrentSwarm; absent for the architectures */
+  agentIndex?: number;
+  /** Stable identifier of the agent in a ConcurrentSwarm; absent for the architectures */
+  agentId?: string;
+  task: unknown;
+}
+
+/** Fields shared by health check events, which are not tied to a task */
+interface HealthEventBase extends SwarmEventBase {
+  agentName: string;
+  agentId: string;
+  agentIndex: number;
+}
+
+/** Payloads of every event a swarm emits, keyed by event name */
+export interface SwarmEvents {
+  'swarm:start': SwarmEventBase;
+  'swarm:end': SwarmEventBase & {
+    duration: number;
+    /** Set when the swarm failed */
+    error?: Error;
+  };
+  'agent:start': AgentEventBase;
+  'agent:response': AgentEventBase & {
+    response: unknown;
+    duration: number;
+    /** Number of attempts made, more than one when the agent was retried */
+    attempts: number;
+  };
+  'agent:partial': AgentEventBase & {
+    /** Partial result streamed by the agent before it settles */
+    chunk: unknown;
+    /** Attempt that produced the chunk */
+    attempt: number;
+  };
+  'agent:retry': AgentEventBase & {
+    attempt: RetryAttempt;
+  };
+  'agent:error': AgentEventBase & {
+    error: Error;
+  };
+  'agent:skipped': AgentEventBase & {
+    /** Why the agent was not called, e.g. its circuit breaker is open */
+    reason: string;
+    /** Name of the agent called in its place, if any */
+    substitute?: string;
+  };
+  'agent:dispose-error': SwarmEventBase & {
+    agentName: string;
+    agentId: string;
+    /** AgentLifecycleError whose cause is the error thrown by dispose() */
+    error: Error;
+  };
+  'agent:quarantined': HealthEventBase & {
+    /** Why the last health check failed */
+    error: string;
+  };
+  'agent:recovered': HealthEventBase;
+}
+
+export type SwarmEventName = keyof SwarmEvents;
+
+export type SwarmEventListener<E extends SwarmEventName> = (payload: SwarmEvents[E]) => void;
+
+/**
+ * EventEmitter restricted to the swarm lifecycle events and their payloads
+ */
+export class SwarmEventEmitter extends EventEmitter {
+  on<E extends SwarmEventName>(event: E, listener: SwarmEventListener<E>): this {
+    return super.on(event, listener);
+  }
+
+  once<E extends SwarmEventName>(event: E, listener: SwarmEventListener<E>): this {
+    return super.once(event, listener);
+  }
+
+  off<E extends SwarmEventName>(event: E, listener: SwarmEventListener<E>): this {
+    return super.off(event, listener);
+  }
+
+  emit<E extends SwarmEventName>(event: E, payload: SwarmEvents[E]): boolean {
+    return super.emit(event, payload);
+  }
+}
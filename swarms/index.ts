@@ -1,12 +1,188 @@
-import ConcurrentSwarm from "./concurrent_swarm";
-import { starSwarm, ConversationHistory, AgentLog, ConversationHistoryMetrics, circularSwarm, meshSwarm } from "./swarm_architectures";
+import ConcurrentSwarm, {
+  AgentHealth,
+  AgentHealthStatus,
+  AgentInfo,
+  AgentModule,
+  AgentOptions,
+  AgentPartial,
+  AgentResult,
+  AgentResultStatus,
+  AgentStats,
+  AggregatedResults,
+  CloseOptions,
+  ConcurrentSwarmOptions,
+  ExecutionMode,
+  FailurePolicy,
+  HealthCheckOptions,
+  PerformTaskOptions,
+  SubmitOptions,
+  TaskQueueStats,
+  TaskStreamEvent
+} from "./concurrent_swarm";
+import {
+  AbortError,
+  AgentLifecycleError,
+  AgentLifecyclePhase,
+  AgentUnhealthyError,
+  AggregationError,
+  CircuitOpenError,
+  QueueFullError,
+  SwarmClosedError,
+  SwarmExecutionError,
+  TimeoutError,
+  ValidationError,
+  ValidationTarget,
+  WorkerCrashError,
+  WorkerCrashReason
+} from "./errors";
+import AgentBase from "./agent-base";
+import { Agent, DisposableAgent, fromAgent, toAgent } from "./agent";
+import {
+  starSwarm,
+  ConversationHistory,
+  AgentLog,
+  ConversationHistoryMetrics,
+  SkippedAgentLog,
+  SwarmOptions,
+  circularSwarm,
+  meshSwarm,
+  oneToOne,
+  broadcast,
+  getMetrics
+} from "./swarm_architectures";
+import { JitterMode, RetryAttempt, RetryPolicy, withRetry } from "./retry";
+import { SwarmEventEmitter, SwarmEventListener, SwarmEventName, SwarmEvents } from "./events";
+import {
+  LogContext,
+  LogLevel,
+  SwarmLogger,
+  WinstonLoggerOptions,
+  createConsoleLogger,
+  createPinoLogger,
+  createWinstonLogger,
+  silentLogger
+} from "./logger";
+import { AcquireOptions, RateLimiter, RateLimiterOptions, RateLimiterStats, withRateLimit } from "./rate_limiter";
+import {
+  CircuitBreaker,
+  CircuitBreakerOptions,
+  CircuitBreakerRegistry,
+  CircuitState,
+  withCircuitBreaker
+} from "./circuit_breaker";
+import { AgentFactory, AgentFactoryOptions, AgentFactoryScope, AgentFactoryStats } from "./agent_factory";
+import {
+  Aggregate,
+  AggregationCandidate,
+  AggregationStrategy,
+  AggregationStrategyName,
+  JudgeStrategy,
+  MajorityStrategy,
+  ReducerStrategy,
+  aggregate
+} from "./aggregation";
+import { JsonSchema, JsonSchemaType, Schema, SwarmSchemas, jsonSchemaValidator } from "./schema";
+import { LLMAgent, LLMAgentOptions, StructuredOutputOptions } from "./llm_agent";
+import { MockModelOptions, MockModelRequest, createMockModel } from "./mock_model";
 
 export {
   ConcurrentSwarm,
+  AgentHealth,
+  AgentHealthStatus,
+  AgentInfo,
+  AgentModule,
+  AgentOptions,
+  AgentPartial,
+  AgentResult,
+  AgentResultStatus,
+  AgentStats,
+  AggregatedResults,
+  CloseOptions,
+  ConcurrentSwarmOptions,
+  ExecutionMode,
+  FailurePolicy,
+  HealthCheckOptions,
+  PerformTaskOptions,
+  SubmitOptions,
+  TaskQueueStats,
+  TaskStreamEvent,
+  SwarmExecutionError,
+  TimeoutError,
+  AbortError,
+  QueueFullError,
+  SwarmClosedError,
+  CircuitOpenError,
+  AgentUnhealthyError,
+  WorkerCrashError,
+  WorkerCrashReason,
+  AggregationError,
+  AgentLifecycleError,
+  AgentLifecyclePhase,
+  ValidationError,
+  ValidationTarget,
+  AgentBase,
+  Agent,
+  DisposableAgent,
+  fromAgent,
+  toAgent,
   starSwarm,
   ConversationHistory,
   AgentLog,
   ConversationHistoryMetrics,
+  SkippedAgentLog,
+  SwarmOptions,
   circularSwarm,
-  meshSwarm
+  meshSwarm,
+  oneToOne,
+  broadcast,
+  getMetrics,
+  JitterMode,
+  RetryAttempt,
+  RetryPolicy,
+  withRetry,
+  SwarmEventEmitter,
+  SwarmEventListener,
+  SwarmEventName,
+  SwarmEvents,
+  LogContext,
+  LogLevel,
+  SwarmLogger,
+  WinstonLoggerOptions,
+  createConsoleLogger,
+  createPinoLogger,
+  createWinstonLogger,
+  silentLogger,
+  AcquireOptions,
+  RateLimiter,
+  RateLimiterOptions,
+  RateLimiterStats,
+  withRateLimit,
+  CircuitBreaker,
+  CircuitBreakerOptions,
+  CircuitBreakerRegistry,
+  CircuitState,
+  withCircuitBreaker,
+  AgentFactory,
+  AgentFactoryOptions,
+  AgentFactoryScope,
+  AgentFactoryStats,
+  Aggregate,
+  AggregationCandidate,
+  AggregationStrategy,
+  AggregationStrategyName,
+  JudgeStrategy,
+  MajorityStrategy,
+  ReducerStrategy,
+  aggregate,
+  Schema,
+  SwarmSchemas,
+  JsonSchema,
+  JsonSchemaType,
+  jsonSchemaValidator,
+  LLMAgent,
+  LLMAgentOptions,
+  StructuredOutputOptions,
+  MockModelOptions,
+  MockModelRequest,
+  createMockModel
 };
\ No newline at end of file
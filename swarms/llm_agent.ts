@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Agent backed by a language model
+ *
+ * LLMAgent answers each task with a call to a model through the ai package,
+ * so any of its providers, or createMockModel offline, can drive the swarm
+ * architectures and ConcurrentSwarm. Given an output schema it answers in
+ * JSON, which it validates and has the model repair when invalid.
+ *
+ * @module llm_agent
+ */
+
+import { CoreMessage, LanguageModel, generateText } from 'ai';
+import type { ZodType } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import type { Agent } from './agent';
+import type { ValidationError } from './errors';
+import { JsonSchema, Schema, jsonSchemaValidator, validate } from './schema';
+
+/**
+ * Structured output settings for an LLMAgent
+ */
+export interface StructuredOutputOptions {
+  /** JSON Schema or zod schema the model's JSON must match */
+  schema: JsonSchema | ZodType;
+  /** Times the model is shown its invalid output and asked to fix it before the run fails, defaults to 1 */
+  repairAttempts?: number;
+}
+
+/**
+ * Options for an LLMAgent
+ */
+export interface LLMAgentOptions {
+  /** Unique name identifier for the agent */
+  agentName: string;
+  /** Model to call, e.g. openai('gpt-4o') from @ai-sdk/openai, or createMockModel() */
+  model: LanguageModel;
+  /** Sent as the system message with every task */
+  systemPrompt?: string;
+  /** Sampling temperature; the provider's default applies when omitted */
+  temperature?: number;
+  /** Maximum number of tokens to generate per model call */
+  maxTokens?: number;
+  /**
+   * Retries the ai package makes itself on rate limits and server errors.
+   * Defaults to 0, leaving retries to the swarm's retry policy.
+   */
+  maxRetries?: number;
+  /** Answer in JSON matching a schema instead of free-form text */
+  output?: StructuredOutputOptions;
+}
+
+/**
+ * Validates LLMAgent options, throwing on values the model call would reject later
+ */
+export function assertLLMAgentOptions(options: LLMAgentOptions): void {
+  if (typeof options?.agentName !== 'string' || !options.agentName) {
+    throw new Error('LLMAgent requires an agentName');
+  }
+  if (typeof options.model?.doGenerate !== 'function') {
+    throw new Error('LLMAgent requires a language model');
+  }
+  if (options.temperature !== undefined && !(options.temperature >= 0)) {
+    throw new Error('temperature must be a non-negative number');
+  }
+  if (options.maxTokens !== undefined && (!Number.isInteger(options.maxTokens) || options.maxTokens < 1)) {
+    throw new Error('maxTokens must be a positive integer');
+  }
+  if (options.maxRetries !== undefined && (!Number.isInteger(options.maxRetries) || options.maxRetries < 0)) {
+    throw new Error('maxRetries must be a non-negative integer');
+  }
+  if (options.output !== undefined) {
+    if (typeof options.output?.schema !== 'object' || options.output.schema === null) {
+      throw new Error('output.schema must be a JSON Schema or a zod schema');
+    }
+    const { repairAttempts } = options.output;
+    if (repairAttempts !== undefined && (!Number.isInteger(repairAttempts) || repairAttempts < 0)) {
+      throw new Error('output.repairAttempts must be a non-negative integer');
+    }
+  }
+}
+
+/**
+ * Parse the JSON in a model's response. Models often wrap it in a Markdown
+ * code fence or a sentence, so failing that the outermost object or array is tried.
+ */
+function parseJson(text: string): unknown {
+  const candidates = [text.trim()];
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  if (fenced?.[1]) {
+    candidates.push(fenced[1].trim());
+  }
+  const start = text.search(/[[{]/);
+  const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+  if (start !== -1 && end > start) {
+    candidates.push(text.slice(start, end + 1));
+  }
+
+  for (const candidate of candidates) {
+    try {
+      return JSON.parse(candidate);
+    } catch {
+      // Try the next candidate
+    }
+  }
+  throw new Error('Response is not valid JSON');
+}
+
+/**
+ * Structured output settings with the schema resolved
+ */
+interface ResolvedOutput {
+  /** Shown to the model */
+  jsonSchema: JsonSchema;
+  /** Checks the model's output */
+  parser: Schema<unknown>;
+  repairAttempts: number;
+}
+
+/**
+ * JSON Schema shown to the model and the schema its output is checked with
+ */
+function resolveOutputSchema(schema: JsonSchema | ZodType): Omit<ResolvedOutput, 'repairAttempts'> {
+  if (typeof (schema as ZodType).safeParse === 'function') {
+    const zodSchema = schema as ZodType;
+    return { jsonSchema: zodToJsonSchema(zodSchema, { $refStrategy: 'none' }) as JsonSchema, parser: zodSchema };
+  }
+  const parser = jsonSchemaValidator(schema as JsonSchema);
+  return { jsonSchema: parser.jsonSchema, parser };
+}
+
+/**
+ * Agent that sends every task to a language model as the user prompt and
+ * resolves to the generated text. With an output schema it resolves to the
+ * validated JSON instead, and parseResponse turns that back into the value.
+ */
+export class LLMAgent implements Agent {
+  agentName: string;
+  /** Set with an output schema; an own property so agent wrappers that spread the agent keep it */
+  parseResponse?: (response: string) => unknown;
+  private options: LLMAgentOptions;
+  private output?: ResolvedOutput;
+
+  constructor(options: LLMAgentOptions) {
+    assertLLMAgentOptions(options);
+    this.agentName = options.agentName;
+    this.options = options;
+
+    if (options.output) {
+      const output = {
+        ...resolveOutputSchema(options.output.schema),
+        repairAttempts: options.output.repairAttempts ?? 1
+      };
+      this.output = output;
+      this.parseResponse = response => validate(output.parser, JSON.parse(response), 'result');
+    }
+  }
+
+  async run(task: string): Promise<string> {
+    if (this.output) {
+      return this.runStructured(task, this.output);
+    }
+    return this.generate([{ role: 'user', content: task }], this.options.systemPrompt);
+  }
+
+  /**
+   * Ask for JSON matching the schema. Invalid output is sent back to the model
+   * with what is wrong with it until repairAttempts run out, after which the
+   * run rejects with the last ValidationError. Resolves to the JSON, normalized.
+   */
+  private async runStructured(task: string, output: ResolvedOutput): Promise<string> {
+    const instructions = 'Respond only with JSON that matches this JSON Schema, without any other text:\n' +
+      JSON.stringify(output.jsonSchema);
+    const system = this.options.systemPrompt ? `${this.options.systemPrompt}\n\n${instructions}` : instructions;
+    const messages: CoreMessage[] = [{ role: 'user', content: task }];
+
+    for (let repairs = 0; ; repairs++) {
+      const text = await this.generate(messages, system);
+      try {
+        const value = validate({ parse: parseJson }, text, 'result');
+        validate(output.parser, value, 'result');
+        return JSON.stringify(value);
+      } catch (error) {
+        if (repairs >= output.repairAttempts) {
+          throw error;
+        }
+        // The schema's own error says what to fix; the ValidationError around it adds nothing for the model
+        const { cause } = error as ValidationError;
+        const reason = cause instanceof Error ? cause.message : String(cause);
+        messages.push(
+          { role: 'assistant', content: text },
+          { role: 'user', content: `That response is invalid: ${reason}\nReply with the corrected JSON only.` }
+        );
+      }
+    }
+  }
+
+  private async generate(messages: CoreMessage[], system: string | undefined): Promise<string> {
+    const { text } = await generateText({
+      model: this.options.model,
+      system,
+      messages,
+      temperature: this.options.temperature,
+      maxTokens: this.options.maxTokens,
+      maxRetries: this.options.maxRetries ?? 0
+    });
+    return text;
+  }
+}
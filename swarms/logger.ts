@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Pluggable logging for swarms
+ *
+ * Swarms log through the small SwarmLogger interface so applications can route
+ * output into their own logger, or silence it, instead of the swarm choosing
+ * files or transports for them. Adapters are provided for pino, winston and
+ * the console.
+ *
+ * @module logger
+ */
+
+import pino from 'pino';
+
+/** Structured fields attached to a log entry */
+export type LogContext = Record<string, unknown>;
+
+/** Severity levels understood by SwarmLogger, from most to least verbose */
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+/**
+ * Logger interface used by ConcurrentSwarm and the swarm architectures
+ */
+export interface SwarmLogger {
+  debug(message: string, context?: LogContext): void;
+  info(message: string, context?: LogContext): void;
+  warn(message: string, context?: LogContext): void;
+  error(message: string, context?: LogContext): void;
+  /** Write out buffered entries; called when a swarm is closed */
+  flush?(): void | Promise<void>;
+}
+
+/** Structural type of a pino logger, so pino need not be the same version as ours */
+interface PinoLike {
+  debug(obj: object, message?: string): void;
+  info(obj: object, message?: string): void;
+  warn(obj: object, message?: string): void;
+  error(obj: object, message?: string): void;
+  flush?(callback?: (error?: Error) => void): void;
+}
+
+/** Structural type of a winston logger */
+interface WinstonLike {
+  log(level: string, message: string, meta?: object): unknown;
+  end?(): unknown;
+  once?(event: 'finish', listener: () => void): unknown;
+}
+
+const levels: LogLevel[] = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Adapts a pino logger
+ */
+export function createPinoLogger(logger: PinoLike): SwarmLogger {
+  return {
+    debug: (message, context) => logger.debug(context ?? {}, message),
+    info: (message, context) => logger.info(context ?? {}, message),
+    warn: (message, context) => logger.warn(context ?? {}, message),
+    error: (message, context) => logger.error(context ?? {}, message),
+    flush: () => new Promise<void>((resolve, reject) => {
+      if (!logger.flush) {
+        resolve();
+        return;
+      }
+      logger.flush((error) => error ? reject(error) : resolve());
+    })
+  };
+}
+
+/**
+ * Options for createWinstonLogger
+ */
+export interface WinstonLoggerOptions {
+  /**
+   * End the logger when a swarm using it is closed. Winston can only flush its
+   * transports by ending the logger, which closes them, file handles included,
+   * so only set this when the logger belongs to the swarm. Defaults to false.
+   */
+  endOnFlush?: boolean;
+}
+
+/**
+ * Adapts a winston logger. The logger is left open when a swarm closes
+ * unless endOnFlush is set.
+ */
+export function createWinstonLogger(logger: WinstonLike, options: WinstonLoggerOptions = {}): SwarmLogger {
+  const adapted: SwarmLogger = {
+    debug: (message, context) => logger.log('debug', message, context),
+    info: (message, context) => logger.log('info', message, context),
+    warn: (message, context) => logger.log('warn', message, context),
+    error: (message, context) => logger.log('error', message, context)
+  };
+  if (!options.endOnFlush) {
+    return adapted;
+  }
+
+  return {
+    ...adapted,
+    flush: () => new Promise<void>((resolve) => {
+      if (!logger.end || !logger.once) {
+        resolve();
+        return;
+      }
+      logger.once('finish', resolve);
+      logger.end();
+    })
+  };
+}
+
+/**
+ * Logs to the console, dropping entries below the given level
+ */
+export function createConsoleLogger(level: LogLevel = 'info'): SwarmLogger {
+  const threshold = levels.indexOf(level);
+  const write = (entryLevel: LogLevel) => (message: string, context?: LogContext) => {
+    if (levels.indexOf(entryLevel) < threshold) {
+      return;
+    }
+    if (context) {
+      console[entryLevel](message, context);
+    } else {
+      console[entryLevel](message);
+    }
+  };
+
+  return {
+    debug: write('debug'),
+    info: write('info'),
+    warn: write('warn'),
+    error: write('error')
+  };
+}
+
+/**
+ * Discards every entry
+ */
+export const silentLogger: SwarmLogger = {
+  debug: () => undefined,
+  info: () => undefined,
+  warn: () => undefined,
+  error: () => undefined
+};
+
+/**
+ * Used when no logger is passed: JSON lines on stdout, no files or transports
+ */
+export const defaultLogger: SwarmLogger = createPinoLogger(pino({ level: 'info' }));
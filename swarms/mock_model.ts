@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Deterministic language model for offline use
+ *
+ * createMockModel returns a model the ai package calls like any hosted one,
+ * answering from a function of the prompt instead of a network call, so LLM
+ * agents can be tested and tried out without credentials.
+ *
+ * @module mock_model
+ */
+
+import type { LanguageModelV1, LanguageModelV1CallOptions, LanguageModelV1StreamPart } from 'ai';
+
+/**
+ * What the mock model was asked
+ */
+export interface MockModelRequest {
+  /** System prompt, if the call had one */
+  system?: string;
+  /** Text of the last user message */
+  prompt: string;
+  temperature?: number;
+  maxTokens?: number;
+}
+
+/**
+ * Options for createMockModel
+ */
+export interface MockModelOptions {
+  /** Defaults to 'mock' */
+  modelId?: string;
+  /** Produces the response text; the model echoes the prompt when omitted */
+  respond?: (request: MockModelRequest) => string | Promise<string>;
+}
+
+/**
+ * Words of a text; the mock model counts every word as one token
+ */
+function tokenize(text: string): string[] {
+  return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Cut a text after its first maxTokens words, keeping its whitespace
+ */
+function truncate(text: string, maxTokens: number): string {
+  const words = text.match(/\s*\S+/g) ?? [];
+  return words.slice(0, maxTokens).join('');
+}
+
+/**
+ * Split a text into the deltas it is streamed in: a word each, with the
+ * whitespace ahead of it, so the deltas add up to the text
+ */
+function toDeltas(text: string): string[] {
+  return text.match(/\s*\S+|\s+$/g) ?? [];
+}
+
+/**
+ * Turn a call from the ai package into the request handed to respond()
+ */
+function toRequest(options: LanguageModelV1CallOptions): MockModelRequest {
+  const system = options.prompt
+    .flatMap(message => message.role === 'system' ? [message.content] : [])
+    .join('\n');
+  const users = options.prompt.filter(message => message.role === 'user');
+  const last = users[users.length - 1];
+  const prompt = last?.role === 'user'
+    ? last.content.flatMap(part => part.type === 'text' ? [part.text] : []).join('')
+    : '';
+
+  return {
+    system: system || undefined,
+    prompt,
+    temperature: options.temperature,
+    maxTokens: options.maxTokens
+  };
+}
+
+/**
+ * Create a language model that answers with respond(), or echoes the prompt.
+ * Responses longer than maxTokens words are cut short with finishReason
+ * 'length'. Streaming yields the response a word at a time.
+ */
+export function createMockModel(options: MockModelOptions = {}): LanguageModelV1 {
+  const respond = options.respond ?? (request => request.prompt);
+
+  const generate = async (callOptions: LanguageModelV1CallOptions) => {
+    callOptions.abortSignal?.throwIfAborted();
+    const request = toRequest(callOptions);
+    const response = await respond(request);
+    const { maxTokens } = request;
+    const truncated = maxTokens !== undefined && tokenize(response).length > maxTokens;
+    const text = truncated ? truncate(response, maxTokens) : response;
+
+    return {
+      text,
+      finishReason: truncated ? 'length' as const : 'stop' as const,
+      usage: { promptTokens: tokenize(request.prompt).length, completionTokens: tokenize(text).length },
+      rawCall: {
+        rawPrompt: callOptions.prompt,
+        rawSettings: { temperature: request.temperature, maxTokens: request.maxTokens }
+      }
+    };
+  };
+
+  return {
+    specificationVersion: 'v1',
+    provider: 'mock',
+    modelId: options.modelId ?? 'mock',
+    defaultObjectGenerationMode: 'json',
+    doGenerate: generate,
+    doStream: async (callOptions) => {
+      const { text, finishReason, usage, rawCall } = await generate(callOptions);
+      const stream = new ReadableStream<LanguageModelV1StreamPart>({
+        start(controller) {
+          for (const textDelta of toDeltas(text)) {
+            controller.enqueue({ type: 'text-delta', textDelta });
+          }
+          controller.enqueue({ type: 'finish', finishReason, usage });
+          controller.close();
+        }
+      });
+      return { stream, rawCall };
+    }
+  };
+}
@@ -0,0 +1,66 @@
+interface Entry<T> {
+  item: T;
+  priority: number;
+}
+
+/**
+ * Queue that pops the highest priority item first, and items of equal
+ * priority in insertion order. Backed by a sorted array so items can be
+ * removed by identity, e.g. when a queued job is cancelled.
+ */
+class PriorityQueue<T> {
+  private entries: Entry<T>[] = [];
+
+  get size(): number {
+    return this.entries.length;
+  }
+
+  /**
+   * Insert an item; higher priorities are popped first
+   */
+  push(item: T, priority: number = 0): void {
+    const entry: Entry<T> = { item, priority };
+
+    // Binary search for the first entry with a lower priority, which keeps
+    // equal priorities in insertion order
+    let low = 0;
+    let high = this.entries.length;
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+      if ((this.entries[mid] as Entry<T>).priority >= priority) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.entries.splice(low, 0, entry);
+  }
+
+  /**
+   * Remove and return the next item, or undefined when empty
+   */
+  pop(): T | undefined {
+    return this.entries.shift()?.item;
+  }
+
+  /**
+   * Remove a specific item, returning whether it was queued
+   */
+  remove(item: T): boolean {
+    const index = this.entries.findIndex(entry => entry.item === item);
+    if (index === -1) {
+      return false;
+    }
+    this.entries.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Remove and return every queued item in pop order
+   */
+  drain(): T[] {
+    return this.entries.splice(0).map(entry => entry.item);
+  }
+}
+
+export default PriorityQueue;
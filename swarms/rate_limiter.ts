@@ -0,0 +1,255 @@
+/**
+ * @fileoverview Token-bucket rate limiting shared across agents
+ *
+ * A RateLimiter enforces requests-per-minute and tokens-per-minute limits per
+ * key, so calls wait for capacity instead of running into provider 429s.
+ * Attach one to a whole swarm through its options, or to individual agents
+ * with withRateLimit.
+ *
+ * @module rate-limiter
+ */
+
+import { sleep } from './retry';
+import type { Agent } from './agent';
+
+/**
+ * Limits applied to every key of a RateLimiter
+ */
+export interface RateLimiterOptions {
+  /** Requests allowed per minute */
+  requestsPerMinute?: number;
+  /** Tokens allowed per minute */
+  tokensPerMinute?: number;
+  /**
+   * Estimates the tokens a task or response consumes; defaults to roughly
+   * four characters per token of its text or JSON form
+   */
+  estimateTokens?: (value: unknown) => number;
+}
+
+/**
+ * Per-call settings for acquire
+ */
+export interface AcquireOptions {
+  /** Tokens to reserve alongside the request, 0 when omitted */
+  tokens?: number;
+  /** Stops waiting for capacity once aborted */
+  signal?: AbortSignal;
+}
+
+/**
+ * Remaining capacity for one key
+ */
+export interface RateLimiterStats {
+  /** Requests available right now, undefined without a requests limit */
+  requestsAvailable?: number;
+  /** Tokens available right now, undefined without a tokens limit; negative when in debt */
+  tokensAvailable?: number;
+  /** Calls waiting for capacity */
+  waiting: number;
+}
+
+interface Bucket {
+  capacity: number;
+  available: number;
+  refillPerMs: number;
+}
+
+interface KeyState {
+  requests?: Bucket;
+  tokens?: Bucket;
+  lastRefill: number;
+  waiting: number;
+  /** Last queued acquire, so callers of the same key are served in order */
+  tail: Promise<void>;
+}
+
+/**
+ * Rough token count: a quarter of the characters in the value's text form
+ */
+function defaultEstimateTokens(value: unknown): number {
+  const text = typeof value === 'string' ? value : JSON.stringify(value) ?? '';
+  return Math.ceil(text.length / 4);
+}
+
+function createBucket(perMinute: number): Bucket {
+  return { capacity: perMinute, available: perMinute, refillPerMs: perMinute / 60000 };
+}
+
+/**
+ * Milliseconds until the bucket holds the given amount
+ */
+function timeUntil(bucket: Bucket | undefined, amount: number): number {
+  if (!bucket || bucket.available >= amount) {
+    return 0;
+  }
+  return Math.ceil((amount - bucket.available) / bucket.refillPerMs);
+}
+
+/**
+ * Wait for the callers ahead in line, rejecting with the signal's reason as soon as it aborts
+ */
+function waitForTurn(ahead: Promise<void>, signal?: AbortSignal): Promise<void> {
+  if (!signal) {
+    return ahead;
+  }
+  if (signal.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    ahead.then(resolve).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Token-bucket rate limiter with an independent pair of buckets per key.
+ * Buckets start full and refill continuously; callers of the same key are
+ * served in the order they called acquire.
+ */
+export class RateLimiter {
+  private states = new Map<string, KeyState>();
+  private requestsPerMinute?: number;
+  private tokensPerMinute?: number;
+  private estimator: (value: unknown) => number;
+
+  constructor(options: RateLimiterOptions) {
+    const { requestsPerMinute, tokensPerMinute } = options;
+    if (requestsPerMinute === undefined && tokensPerMinute === undefined) {
+      throw new Error('Rate limiter needs requestsPerMinute, tokensPerMinute or both');
+    }
+    if (requestsPerMinute !== undefined && !(requestsPerMinute > 0)) {
+      throw new Error('requestsPerMinute must be positive');
+    }
+    if (tokensPerMinute !== undefined && !(tokensPerMinute > 0)) {
+      throw new Error('tokensPerMinute must be positive');
+    }
+
+    this.requestsPerMinute = requestsPerMinute;
+    this.tokensPerMinute = tokensPerMinute;
+    this.estimator = options.estimateTokens ?? defaultEstimateTokens;
+  }
+
+  /**
+   * Wait until the key has capacity for one request plus the given tokens, then take it.
+   * Rejects with the signal's reason as soon as it aborts, even while waiting behind other callers.
+   */
+  acquire(key: string = 'default', options: AcquireOptions = {}): Promise<void> {
+    const tokens = this.tokensPerMinute === undefined ? 0 : options.tokens ?? 0;
+    if (this.tokensPerMinute !== undefined && tokens > this.tokensPerMinute) {
+      return Promise.reject(new Error(
+        `Request needs ${tokens} tokens but the limit is ${this.tokensPerMinute} per minute`
+      ));
+    }
+
+    const state = this.getState(key);
+    const ahead = state.tail;
+    state.waiting++;
+    const turn = waitForTurn(ahead, options.signal)
+      .then(() => this.take(state, tokens, options.signal))
+      .finally(() => {
+        state.waiting--;
+      });
+    // A caller that gives up keeps no place in line; the next one waits for those ahead of it
+    state.tail = turn.catch(() => ahead);
+    return turn;
+  }
+
+  /**
+   * Charge tokens that were consumed after the fact, e.g. a response's tokens.
+   * The bucket may go into debt, delaying later calls until it refills.
+   */
+  recordUsage(key: string = 'default', tokens: number): void {
+    const state = this.getState(key);
+    if (state.tokens) {
+      this.refill(state);
+      state.tokens.available -= tokens;
+    }
+  }
+
+  /**
+   * Estimate the tokens in a task or response using the configured estimator
+   */
+  estimateTokens(value: unknown): number {
+    return this.estimator(value);
+  }
+
+  /**
+   * Get the remaining capacity for a key
+   */
+  getStats(key: string = 'default'): RateLimiterStats {
+    const state = this.getState(key);
+    this.refill(state);
+    return {
+      requestsAvailable: state.requests?.available,
+      tokensAvailable: state.tokens?.available,
+      waiting: state.waiting
+    };
+  }
+
+  private getState(key: string): KeyState {
+    let state = this.states.get(key);
+    if (!state) {
+      state = {
+        requests: this.requestsPerMinute === undefined ? undefined : createBucket(this.requestsPerMinute),
+        tokens: this.tokensPerMinute === undefined ? undefined : createBucket(this.tokensPerMinute),
+        lastRefill: performance.now(),
+        waiting: 0,
+        tail: Promise.resolve()
+      };
+      this.states.set(key, state);
+    }
+    return state;
+  }
+
+  private refill(state: KeyState): void {
+    const now = performance.now();
+    const elapsed = now - state.lastRefill;
+    state.lastRefill = now;
+
+    for (const bucket of [state.requests, state.tokens]) {
+      if (bucket) {
+        bucket.available = Math.min(bucket.capacity, bucket.available + elapsed * bucket.refillPerMs);
+      }
+    }
+  }
+
+  private async take(state: KeyState, tokens: number, signal?: AbortSignal): Promise<void> {
+    for (;;) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+
+      this.refill(state);
+      const wait = Math.max(timeUntil(state.requests, 1), timeUntil(state.tokens, tokens));
+      if (wait === 0) {
+        if (state.requests) {
+          state.requests.available -= 1;
+        }
+        if (state.tokens) {
+          state.tokens.available -= tokens;
+        }
+        return;
+      }
+      await sleep(wait, signal);
+    }
+  }
+}
+
+/**
+ * Wrap an agent so every run waits for capacity on the given key. The task's
+ * estimated tokens are reserved up front and the response's are charged after.
+ */
+export function withRateLimit(agent: Agent, limiter: RateLimiter, key: string = agent.agentName): Agent {
+  return {
+    ...agent,
+    run: async (task: string) => {
+      await limiter.acquire(key, { tokens: limiter.estimateTokens(task) });
+      const response = await agent.run(task);
+      limiter.recordUsage(key, limiter.estimateTokens(response));
+      return response;
+    }
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * @fileoverview Retry with exponential backoff and jitter
+ *
+ * Shared by ConcurrentSwarm and the swarm architectures so transient
+ * provider errors are retried the same way everywhere.
+ *
+ * @module retry
+ */
+
+/**
+ * How the computed backoff delay is randomised:
+ * - 'none' uses the exact exponential delay
+ * - 'full' picks uniformly between 0 and the delay
+ * - 'equal' keeps half the delay and randomises the other half
+ */
+export type JitterMode = 'none' | 'full' | 'equal';
+
+const jitterModes: JitterMode[] = ['none', 'full', 'equal'];
+
+/**
+ * Configures how failed operations are retried
+ */
+export interface RetryPolicy {
+  /** Total number of attempts, including the first one */
+  maxAttempts: number;
+  /** Delay before the first retry, defaults to 100ms */
+  initialDelayMs?: number;
+  /** Upper bound for any single delay, defaults to 30s */
+  maxDelayMs?: number;
+  /** Multiplier applied to the delay after each retry, defaults to 2 */
+  backoffFactor?: number;
+  /** Defaults to 'full' */
+  jitter?: JitterMode;
+  /** Decides whether an error is worth retrying; every error is retried when omitted */
+  isRetryable?: (error: unknown, attempt: number) => boolean;
+}
+
+/**
+ * A failed attempt that was followed by a retry
+ */
+export interface RetryAttempt {
+  /** 1-based number of the failed attempt */
+  attempt: number;
+  error: string;
+  /** Time the failed attempt took */
+  duration: number;
+  /** Backoff applied before the next attempt */
+  delayMs: number;
+}
+
+/**
+ * Hooks and cancellation for a single withRetry call
+ */
+export interface RetryOptions {
+  /** Stops retrying, and interrupts a pending backoff, once aborted */
+  signal?: AbortSignal;
+  /** Called after each failed attempt that will be retried */
+  onRetry?: (attempt: RetryAttempt) => void;
+}
+
+/**
+ * Validates a retry policy, throwing on invalid settings
+ */
+export function assertRetryPolicy(policy: RetryPolicy): void {
+  if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+    throw new Error('Retry maxAttempts must be a positive integer');
+  }
+  if (policy.initialDelayMs !== undefined && !(policy.initialDelayMs >= 0)) {
+    throw new Error('Retry initialDelayMs cannot be negative');
+  }
+  if (policy.maxDelayMs !== undefined && !(policy.maxDelayMs >= 0)) {
+    throw new Error('Retry maxDelayMs cannot be negative');
+  }
+  if (policy.backoffFactor !== undefined && !(policy.backoffFactor >= 1)) {
+    throw new Error('Retry backoffFactor must be at least 1');
+  }
+  if (policy.jitter !== undefined && !jitterModes.includes(policy.jitter)) {
+    throw new Error(`Retry jitter must be one of ${jitterModes.join(', ')}`);
+  }
+}
+
+/**
+ * Computes the backoff before the retry that follows the given failed attempt
+ */
+export function computeBackoff(policy: RetryPolicy, attempt: number): number {
+  const initialDelayMs = policy.initialDelayMs ?? 100;
+  const maxDelayMs = policy.maxDelayMs ?? 30000;
+  const backoffFactor = policy.backoffFactor ?? 2;
+  const delay = Math.min(maxDelayMs, initialDelayMs * backoffFactor ** (attempt - 1));
+
+  const jitter = policy.jitter ?? 'full';
+  switch (jitter) {
+    case 'none':
+      return delay;
+    case 'equal':
+      return delay / 2 + Math.random() * (delay / 2);
+    case 'full':
+      return Math.random() * delay;
+    default: {
+      const unknown: never = jitter;
+      throw new Error(`Unknown jitter mode: ${unknown}`);
+    }
+  }
+}
+
+/**
+ * Waits for the given delay, rejecting early with the signal's reason if it aborts
+ */
+export function sleep(delayMs: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal?.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Runs an operation, retrying failures according to the policy.
+ * Without a policy the operation runs exactly once. Once attempts are exhausted,
+ * the error is not retryable or the signal aborts, the last error is rethrown.
+ */
+export async function withRetry<T>(
+  operation: (attempt: number) => Promise<T>,
+  policy?: RetryPolicy,
+  options: RetryOptions = {}
+): Promise<T> {
+  const maxAttempts = policy?.maxAttempts ?? 1;
+
+  for (let attempt = 1; ; attempt++) {
+    const start = performance.now();
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      if (!policy || attempt >= maxAttempts || options.signal?.aborted ||
+          (policy.isRetryable && !policy.isRetryable(error, attempt))) {
+        throw error;
+      }
+
+      const delayMs = computeBackoff(policy, attempt);
+      options.onRetry?.({
+        attempt,
+        error: error instanceof Error ? error.message : String(error),
+        duration: performance.now() - start,
+        delayMs
+      });
+      await sleep(delayMs, options.signal);
+    }
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Runtime validation of tasks and results
+ *
+ * Anything with a parse() method that returns the value or throws, such as a
+ * zod schema, can check what goes into and comes out of a swarm's agents.
+ * jsonSchemaValidator builds one from a JSON Schema.
+ *
+ * @module schema
+ */
+
+import { isDeepStrictEqual } from 'util';
+import { ValidationError, ValidationTarget } from './errors';
+
+/**
+ * Validator of T, structurally compatible with zod schemas. parse() returns
+ * the value, possibly transformed, or throws when it is invalid.
+ */
+export interface Schema<T> {
+  parse(value: unknown): T;
+}
+
+/**
+ * Schemas a ConcurrentSwarm checks its tasks and results against
+ */
+export interface SwarmSchemas<TTask = any, TResult = any> {
+  /** Checked when a task is performed or submitted; an invalid task is rejected */
+  task?: Schema<TTask>;
+  /** Checked on every agent's result; an invalid result rejects that agent's run */
+  result?: Schema<TResult>;
+}
+
+/**
+ * Validates swarm schemas, throwing on anything without a parse() method
+ */
+export function assertSwarmSchemas(schemas: SwarmSchemas): void {
+  for (const target of ['task', 'result'] as const) {
+    const schema = schemas[target];
+    if (schema !== undefined && typeof schema?.parse !== 'function') {
+      throw new Error(`schemas.${target} must have a parse() method`);
+    }
+  }
+}
+
+/**
+ * Parse the value with the schema, if there is one. Throws a ValidationError
+ * carrying the schema's error as its cause.
+ */
+export function validate<T>(schema: Schema<T> | undefined, value: unknown, target: ValidationTarget): T {
+  if (!schema) {
+    return value as T;
+  }
+  try {
+    return schema.parse(value);
+  } catch (error) {
+    const reason = error instanceof Error ? error.message : String(error);
+    throw new ValidationError(`${target === 'task' ? 'Task' : 'Result'} failed validation: ${reason}`, target, error);
+  }
+}
+
+/** Value types a JSON Schema can require */
+export type JsonSchemaType = 'string' | 'number' | 'integer' | 'boolean' | 'object' | 'array' | 'null';
+
+/**
+ * A JSON Schema. jsonSchemaValidator checks the keywords listed here and
+ * rejects schemas using any other, apart from annotations such as title.
+ */
+export interface JsonSchema {
+  type?: JsonSchemaType | JsonSchemaType[];
+  title?: string;
+  description?: string;
+  enum?: unknown[];
+  const?: unknown;
+  properties?: Record<string, JsonSchema>;
+  required?: string[];
+  /** Defaults to true */
+  additionalProperties?: boolean | JsonSchema;
+  items?: JsonSchema;
+  minItems?: number;
+  maxItems?: number;
+  minLength?: number;
+  maxLength?: number;
+  pattern?: string;
+  minimum?: number;
+  maximum?: number;
+  anyOf?: JsonSchema[];
+  [keyword: string]: unknown;
+}
+
+/** Keywords findViolation checks */
+const VALIDATION_KEYWORDS = new Set([
+  'type', 'enum', 'const', 'anyOf', 'properties', 'required', 'additionalProperties', 'items',
+  'minItems', 'maxItems', 'minLength', 'maxLength', 'pattern', 'minimum', 'maximum'
+]);
+
+/** Keywords that describe a schema without constraining values */
+const ANNOTATION_KEYWORDS = new Set(['$schema', '$id', '$comment', 'title', 'description', 'default', 'examples']);
+
+/**
+ * Throw on keywords the validator does not implement, anywhere in the schema,
+ * so values are never reported valid against constraints that were not checked
+ */
+function assertSupportedKeywords(schema: JsonSchema, path: string): void {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    throw new Error(`JSON Schema at ${path} must be an object`);
+  }
+  for (const keyword of Object.keys(schema)) {
+    if (!VALIDATION_KEYWORDS.has(keyword) && !ANNOTATION_KEYWORDS.has(keyword)) {
+      throw new Error(`JSON Schema keyword ${keyword} at ${path} is not supported`);
+    }
+  }
+
+  for (const [key, property] of Object.entries(schema.properties ?? {})) {
+    assertSupportedKeywords(property, `${path}.properties.${key}`);
+  }
+  if (typeof schema.additionalProperties === 'object') {
+    assertSupportedKeywords(schema.additionalProperties, `${path}.additionalProperties`);
+  }
+  if (schema.items !== undefined) {
+    assertSupportedKeywords(schema.items, `${path}.items`);
+  }
+  schema.anyOf?.forEach((option, i) => assertSupportedKeywords(option, `${path}.anyOf[${i}]`));
+}
+
+/**
+ * Whether a value is of a JSON Schema type
+ */
+function isType(value: unknown, type: JsonSchemaType): boolean {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Find the first way the value breaks the schema, described with its path
+ */
+function findViolation(schema: JsonSchema, value: unknown, path: string): string | undefined {
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isType(value, type))) {
+      return `${path} must be of type ${types.join(' or ')}`;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => isDeepStrictEqual(option, value))) {
+    return `${path} must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`;
+  }
+  if ('const' in schema && !isDeepStrictEqual(schema.const, value)) {
+    return `${path} must be ${JSON.stringify(schema.const)}`;
+  }
+  if (schema.anyOf && !schema.anyOf.some(option => findViolation(option, value, path) === undefined)) {
+    return `${path} must match one of the anyOf schemas`;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return `${path} must be at least ${schema.minLength} characters long`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${path} must be at most ${schema.maxLength} characters long`;
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      return `${path} must match the pattern ${schema.pattern}`;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return `${path} must be at least ${schema.minimum}`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return `${path} must be at most ${schema.maximum}`;
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return `${path} must have at least ${schema.minItems} items`;
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${path} must have at most ${schema.maxItems} items`;
+    }
+    if (schema.items) {
+      for (let i = 0; i < value.length; i++) {
+        const violation = findViolation(schema.items, value[i], `${path}[${i}]`);
+        if (violation) {
+          return violation;
+        }
+      }
+    }
+  }
+
+  if (isType(value, 'object')) {
+    const object = value as Record<string, unknown>;
+    const properties = schema.properties ?? {};
+    for (const key of schema.required ?? []) {
+      if (!Object.hasOwn(object, key)) {
+        return `${path}.${key} is required`;
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(object)) {
+      const propertySchema = properties[key] ??
+        (typeof schema.additionalProperties === 'object' ? schema.additionalProperties : undefined);
+      if (!propertySchema && schema.additionalProperties === false) {
+        return `${path}.${key} is not allowed`;
+      }
+      const violation = propertySchema && findViolation(propertySchema, propertyValue, `${path}.${key}`);
+      if (violation) {
+        return violation;
+      }
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Build a schema that checks values against a JSON Schema, throwing an Error
+ * naming the first offending path, e.g. "$.items[2].price must be of type number".
+ * Throws on schemas using keywords it does not check, such as $ref, allOf or format.
+ * The JSON Schema itself is kept as jsonSchema.
+ */
+export function jsonSchemaValidator<T = unknown>(schema: JsonSchema): Schema<T> & { jsonSchema: JsonSchema } {
+  if (typeof schema !== 'object' || schema === null || Array.isArray(schema)) {
+    throw new Error('JSON Schema must be an object');
+  }
+  assertSupportedKeywords(schema, '$');
+
+  return {
+    jsonSchema: schema,
+    parse: (value) => {
+      const violation = findViolation(schema, value, '$');
+      if (violation) {
+        throw new Error(violation);
+      }
+      return value as T;
+    }
+  };
+}
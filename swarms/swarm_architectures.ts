@@ -8,18 +8,16 @@
  * @module swarm-architecture
  */
 
-import pino from 'pino';
-
-// Configure high-performance logger
-const logger = pino({
-  level: 'info',
-  transport: {
-    target: 'pino-pretty',
-    options: {
-      colorize: true
-    }
-  }
-});
+import { RetryAttempt, RetryPolicy, assertRetryPolicy, withRetry } from './retry';
+import { SwarmEventEmitter } from './events';
+import { SwarmLogger, defaultLogger } from './logger';
+import type { RateLimiter } from './rate_limiter';
+import type { CircuitBreakerRegistry } from './circuit_breaker';
+import { CircuitOpenError } from './errors';
+import { Aggregate, AggregationStrategy, aggregate, assertAggregationStrategy } from './aggregation';
+import type { Agent } from './agent';
+
+export type { Agent };
 
 // Performance monitoring
 const metrics = new Map<string, number[]>();
@@ -47,16 +45,6 @@ export function getMetrics(): Record<string, { avg: number; min: number; max: nu
   return result;
 }
 
-/**
- * Represents an agent in the swarm system
- */
-export interface Agent {
-  /** Unique name identifier for the agent */
-  agentName: string;
-  /** Async function that processes a task and returns a response */
-  run: (task: string) => Promise<string>;
-}
-
 /** Supported types for agent collections */
 export type AgentListType = Agent[] | Agent[][];
 
@@ -67,6 +55,42 @@ export interface AgentLog {
   response: string;
   timestamp: number;
   duration: number;
+  /** Failed attempts that were retried before this response, empty when the first attempt succeeded */
+  attempts: RetryAttempt[];
+  /** Structured value parsed from the response, for agents with structured output */
+  output?: unknown;
+}
+
+/** Structure for logging agents that were not called */
+export interface SkippedAgentLog {
+  agentName: string;
+  task: string;
+  reason: string;
+  /** Name of the agent that ran the task instead, if one was substituted */
+  substitute?: string;
+  timestamp: number;
+}
+
+/** Options shared by every swarm architecture */
+export interface SwarmOptions {
+  /** Retry policy applied to every agent call; agents run once when omitted */
+  retryPolicy?: RetryPolicy;
+  /** Receives swarm and agent lifecycle events as the swarm runs */
+  events?: SwarmEventEmitter;
+  /** Destination for log output, defaults to JSON lines on stdout; pass silentLogger to disable */
+  logger?: SwarmLogger;
+  /** Every agent call, including retries, waits for capacity on the limiter's 'default' key */
+  rateLimiter?: RateLimiter;
+  /** Breakers keyed by agent name; agents whose breaker is open are skipped or substituted */
+  circuitBreakers?: CircuitBreakerRegistry;
+  /**
+   * Picks a stand-in for an agent whose breaker is open. The agent is skipped
+   * when omitted or when it returns undefined; agents the swarm cannot do
+   * without, such as the star's center, then fail with a CircuitOpenError.
+   */
+  substituteAgent?: (agent: Agent) => Agent | undefined;
+  /** Merges the receivers' responses; used by broadcast */
+  aggregation?: AggregationStrategy;
 }
 
 /** Represents the complete conversation history metrics */
@@ -79,7 +103,11 @@ export interface ConversationHistoryMetrics {
 /** Represents the complete conversation history */
 export interface ConversationHistory {
   history: AgentLog[];
+  /** Agents that were skipped or substituted because their circuit breaker was open */
+  skipped: SkippedAgentLog[];
   metrics: ConversationHistoryMetrics;
+  /** Value merged from the responses, set when an aggregation strategy was given */
+  aggregate?: Aggregate;
 }
 
 /**
@@ -88,21 +116,25 @@ export interface ConversationHistory {
  */
 class Conversation {
   private logs: AgentLog[];
+  private skipped: SkippedAgentLog[] = [];
   private capacity: number;
   private size: number;
   private totalDuration: number = 0;
+  private logger: SwarmLogger;
 
-  constructor(initialCapacity: number = 1000) {
+  constructor(initialCapacity: number = 1000, logger: SwarmLogger = defaultLogger) {
     // Pre-allocate memory for optimal performance
     this.logs = new Array(initialCapacity);
     this.capacity = initialCapacity;
     this.size = 0;
+    this.logger = logger;
   }
 
   /**
    * Adds a new log entry with performance metrics
    */
-  addLog(agentName: string, task: string, response: string, duration: number): void {
+  addLog(agentName: string, task: string, response: string, duration: number,
+         attempts: RetryAttempt[] = [], output?: unknown): void {
     if (this.size >= this.capacity) {
       this.resize();
     }
@@ -112,18 +144,31 @@ class Conversation {
       task,
       response,
       timestamp: Date.now(),
-      duration
+      duration,
+      attempts
     };
+    if (output !== undefined) {
+      log.output = output;
+    }
 
     this.logs[this.size++] = log;
     this.totalDuration += duration;
 
-    logger.info({
+    this.logger.info('Agent response recorded', {
       agent: agentName,
       task,
       duration,
+      attempts: attempts.length + 1,
       responseLength: response.length
-    }, 'Agent response recorded');
+    });
+  }
+
+  /**
+   * Records an agent that was not called, and the substitute that ran instead
+   */
+  addSkip(agentName: string, task: string, reason: string, substitute?: string): void {
+    this.skipped.push({ agentName, task, reason, substitute, timestamp: Date.now() });
+    this.logger.warn(substitute ? 'Agent substituted' : 'Agent skipped', { agent: agentName, substitute, reason });
   }
 
   /**
@@ -133,6 +178,7 @@ class Conversation {
     const history = this.logs.slice(0, this.size);
     return {
       history,
+      skipped: this.skipped.slice(),
       metrics: {
         totalDuration: this.totalDuration,
         averageResponseTime: this.totalDuration / this.size,
@@ -142,7 +188,7 @@ class Conversation {
   }
 
   private resize(): void {
-    logger.debug(`Resizing conversation buffer from ${this.capacity} to ${this.capacity * 2}`);
+    this.logger.debug(`Resizing conversation buffer from ${this.capacity} to ${this.capacity * 2}`);
     this.capacity *= 2;
     const newLogs: any = new Array<AgentLog>(this.capacity);
     for (let i = 0; i < this.size; i++) {
@@ -153,24 +199,182 @@ class Conversation {
 }
 
 /**
- * Measures the execution time of an async operation
+ * Measures the execution time of an async operation, emitting swarm:start
+ * and swarm:end around it when an emitter is given
  */
 async function measurePerformance<T>(
   operation: () => Promise<T>,
-  metricName: string
+  metricName: string,
+  options: SwarmOptions
 ): Promise<T> {
+  const { events, logger = defaultLogger } = options;
   const start = performance.now();
+  events?.emit('swarm:start', { swarm: metricName, timestamp: Date.now() });
   try {
     const result = await operation();
     const duration = performance.now() - start;
     recordMetric(metricName, duration);
+    events?.emit('swarm:end', { swarm: metricName, timestamp: Date.now(), duration });
     return result;
   } catch (error) {
-    logger.error({ error, metricName }, 'Operation failed');
+    logger.error('Operation failed', { error, metricName });
+    events?.emit('swarm:end', {
+      swarm: metricName,
+      timestamp: Date.now(),
+      duration: performance.now() - start,
+      error: error instanceof Error ? error : new Error(String(error))
+    });
+    throw error;
+  }
+}
+
+/** Outcome of a single agent call made through runAgent */
+interface AgentRun {
+  response: string;
+  /** Parsed response of an agent with structured output */
+  output?: unknown;
+  /** Duration of the successful attempt */
+  duration: number;
+  attempts: RetryAttempt[];
+}
+
+/**
+ * Runs an agent on a task with the swarm's retry policy, collecting the
+ * failed attempts so they can be recorded alongside the response, and
+ * emitting the agent lifecycle events
+ */
+async function runAgent(agent: Agent, task: string, options: SwarmOptions, swarm: string): Promise<AgentRun> {
+  const { events, rateLimiter, logger = defaultLogger } = options;
+  const attempts: RetryAttempt[] = [];
+  let start = performance.now();
+  // An open circuit is meant to fail fast, so it is never retried
+  const retryPolicy = options.retryPolicy && {
+    ...options.retryPolicy,
+    isRetryable: (error: unknown, attempt: number) => !(error instanceof CircuitOpenError) &&
+      (options.retryPolicy?.isRetryable?.(error, attempt) ?? true)
+  };
+
+  events?.emit('agent:start', { swarm, agentName: agent.agentName, task, timestamp: Date.now() });
+
+  try {
+    const { response, output } = await withRetry(async () => {
+      await rateLimiter?.acquire('default', { tokens: rateLimiter.estimateTokens(task) });
+      start = performance.now();
+      const response = await agent.run(task);
+      rateLimiter?.recordUsage('default', rateLimiter.estimateTokens(response));
+      // A response that does not parse fails the attempt like a thrown error
+      return { response, output: agent.parseResponse?.(response) };
+    }, retryPolicy, {
+      onRetry: (attempt) => {
+        attempts.push(attempt);
+        logger.warn('Retrying agent', {
+          agent: agent.agentName,
+          attempt: attempt.attempt,
+          delayMs: attempt.delayMs,
+          error: attempt.error
+        });
+        events?.emit('agent:retry', { swarm, agentName: agent.agentName, task, timestamp: Date.now(), attempt });
+      }
+    });
+    const duration = performance.now() - start;
+
+    events?.emit('agent:response', {
+      swarm,
+      agentName: agent.agentName,
+      task,
+      timestamp: Date.now(),
+      response,
+      duration,
+      attempts: attempts.length + 1
+    });
+    return { response, output, duration, attempts };
+  } catch (error) {
+    events?.emit('agent:error', {
+      swarm,
+      agentName: agent.agentName,
+      task,
+      timestamp: Date.now(),
+      error: error instanceof Error ? error : new Error(String(error))
+    });
     throw error;
   }
 }
 
+/** Outcome of a call made through runGuardedAgent, naming the agent that actually ran */
+interface GuardedRun extends AgentRun {
+  agent: Agent;
+}
+
+/**
+ * Runs an agent through its circuit breaker. When the breaker is open, or the
+ * agent itself rejects with a CircuitOpenError, the agent is recorded as
+ * skipped and its substitute runs instead; resolves to undefined when there is none.
+ */
+async function runGuardedAgent(
+  agent: Agent,
+  task: string,
+  options: SwarmOptions,
+  swarm: string,
+  conversation: Conversation
+): Promise<GuardedRun | undefined> {
+  const breaker = options.circuitBreakers?.get(agent.agentName);
+  try {
+    const run = breaker
+      ? await breaker.execute(() => runAgent(agent, task, options, swarm), agent.agentName)
+      : await runAgent(agent, task, options, swarm);
+    return { agent, ...run };
+  } catch (error) {
+    if (!(error instanceof CircuitOpenError)) {
+      throw error;
+    }
+
+    const substitute = options.substituteAgent?.(agent);
+    conversation.addSkip(agent.agentName, task, error.message, substitute?.agentName);
+    options.events?.emit('agent:skipped', {
+      swarm,
+      agentName: agent.agentName,
+      task,
+      timestamp: Date.now(),
+      reason: error.message,
+      substitute: substitute?.agentName
+    });
+    if (!substitute || substitute === agent) {
+      return undefined;
+    }
+    // A substitute gets no substitute of its own
+    return runGuardedAgent(substitute, task, { ...options, substituteAgent: undefined }, swarm, conversation);
+  }
+}
+
+/**
+ * Like runGuardedAgent, for agents the swarm cannot proceed without
+ */
+async function runRequiredAgent(
+  agent: Agent,
+  task: string,
+  options: SwarmOptions,
+  swarm: string,
+  conversation: Conversation
+): Promise<GuardedRun> {
+  const run = await runGuardedAgent(agent, task, options, swarm, conversation);
+  if (!run) {
+    throw new CircuitOpenError(`${agent.agentName} is unavailable and has no substitute`, agent.agentName);
+  }
+  return run;
+}
+
+/**
+ * Validates options shared by every swarm architecture
+ */
+function validateOptions(options: SwarmOptions): void {
+  if (options.retryPolicy) {
+    assertRetryPolicy(options.retryPolicy);
+  }
+  if (options.aggregation) {
+    assertAggregationStrategy(options.aggregation);
+  }
+}
+
 /**
  * Optimized agent array flattening with type checking
  */
@@ -198,20 +402,22 @@ function flattenAgents(agents: AgentListType): Agent[] {
 export async function circularSwarm(
   agents: AgentListType,
   tasks: string[],
-  returnFullHistory: boolean = true
+  returnFullHistory: boolean = true,
+  options: SwarmOptions = {}
 ): Promise<ConversationHistory | string[]> {
+  const logger = options.logger ?? defaultLogger;
   const startTime = performance.now();
-  logger.info({ agentCount: flattenAgents(agents).length, taskCount: tasks.length }, 
-    'Starting circular swarm');
+  logger.info('Starting circular swarm', { agentCount: flattenAgents(agents).length, taskCount: tasks.length });
 
   return measurePerformance(async () => {
+    validateOptions(options);
     const flatAgents = flattenAgents(agents);
     
     if (!flatAgents.length || !tasks.length) {
       throw new Error("Agents and tasks lists cannot be empty.");
     }
 
-    const conversation = new Conversation(tasks.length * flatAgents.length);
+    const conversation = new Conversation(tasks.length * flatAgents.length, logger);
     const responses: string[] = [];
 
     // Process tasks in parallel using a worker pool
@@ -223,23 +429,22 @@ export async function circularSwarm(
         if (!task) break;
 
         await Promise.all(flatAgents.map(async (agent) => {
-          const start = performance.now();
-          const response = await agent.run(task);
-          const duration = performance.now() - start;
+          const run = await runGuardedAgent(agent, task, options, 'circularSwarm', conversation);
+          if (!run) return;
 
-          conversation.addLog(agent.agentName, task, response, duration);
-          responses.push(response);
+          conversation.addLog(run.agent.agentName, task, run.response, run.duration, run.attempts, run.output);
+          responses.push(run.response);
         }));
       }
     }));
 
-    logger.info({ 
+    logger.info('Circular swarm completed', { 
       duration: performance.now() - startTime,
       responsesCount: responses.length
-    }, 'Circular swarm completed');
+    });
 
     return returnFullHistory ? conversation.returnHistory() : responses;
-  }, 'circularSwarm');
+  }, 'circularSwarm', options);
 }
 
 /**
@@ -248,16 +453,20 @@ export async function circularSwarm(
 export async function starSwarm(
   agents: AgentListType,
   tasks: string[],
-  returnFullHistory: boolean = true
+  returnFullHistory: boolean = true,
+  options: SwarmOptions = {}
 ): Promise<ConversationHistory | string[]> {
+  const logger = options.logger ?? defaultLogger;
+
   return measurePerformance(async () => {
+    validateOptions(options);
     const flatAgents = flattenAgents(agents);
     
     if (!flatAgents.length || !tasks.length) {
       throw new Error("Agents and tasks lists cannot be empty.");
     }
 
-    const conversation = new Conversation(tasks.length * flatAgents.length);
+    const conversation = new Conversation(tasks.length * flatAgents.length, logger);
     const responses: string[] = [];
     const [centerAgent, ...otherAgents] = flatAgents;
     
@@ -265,18 +474,18 @@ export async function starSwarm(
       throw new Error("Center agent cannot be undefined.");
     }
 
-    logger.info({ 
+    logger.info('Starting star swarm', { 
       centerAgent: centerAgent.agentName,
       otherAgentsCount: otherAgents.length 
-    }, 'Starting star swarm');
+    });
 
     // Process all tasks through the center agent first
     for (const task of tasks) {
-      const start = performance.now();
-      const centerResponse = await centerAgent.run(task);
-      const duration = performance.now() - start;
+      const centerRun = await runRequiredAgent(centerAgent, task, options, 'starSwarm', conversation);
+      const centerResponse = centerRun.response;
       
-      conversation.addLog(centerAgent.agentName, task, centerResponse, duration);
+      conversation.addLog(centerRun.agent.agentName, task, centerResponse, centerRun.duration, centerRun.attempts,
+                          centerRun.output);
       responses.push(centerResponse);
 
       // Process other agents in parallel batches for optimal performance
@@ -284,18 +493,17 @@ export async function starSwarm(
       for (let i = 0; i < otherAgents.length; i += batchSize) {
         const batch = otherAgents.slice(i, i + batchSize);
         await Promise.all(batch.map(async (agent) => {
-          const start = performance.now();
-          const response = await agent.run(centerResponse);
-          const duration = performance.now() - start;
+          const run = await runGuardedAgent(agent, centerResponse, options, 'starSwarm', conversation);
+          if (!run) return;
           
-          conversation.addLog(agent.agentName, task, response, duration);
-          responses.push(response);
+          conversation.addLog(run.agent.agentName, task, run.response, run.duration, run.attempts, run.output);
+          responses.push(run.response);
         }));
       }
     }
 
     return returnFullHistory ? conversation.returnHistory() : responses;
-  }, 'starSwarm');
+  }, 'starSwarm', options);
 }
 
 /**
@@ -304,24 +512,30 @@ export async function starSwarm(
 export async function meshSwarm(
   agents: AgentListType,
   tasks: string[],
-  returnFullHistory: boolean = true
+  returnFullHistory: boolean = true,
+  options: SwarmOptions = {}
 ): Promise<ConversationHistory | string[]> {
+  const logger = options.logger ?? defaultLogger;
+
   return measurePerformance(async () => {
+    validateOptions(options);
     const flatAgents = flattenAgents(agents);
     
     if (!flatAgents.length || !tasks.length) {
       throw new Error("Agents and tasks lists cannot be empty.");
     }
 
-    logger.info({ 
+    logger.info('Starting mesh swarm', { 
       agentsCount: flatAgents.length,
       tasksCount: tasks.length 
-    }, 'Starting mesh swarm');
+    });
 
-    const conversation = new Conversation(tasks.length * flatAgents.length);
+    const conversation = new Conversation(tasks.length * flatAgents.length, logger);
     const responses: string[] = [];
     const taskQueue = [...tasks];
     const completedTasks = new Set<string>();
+    // Agents skipped because their breaker is open stop taking tasks
+    const unavailable = new Set<Agent>();
 
     // Implement work stealing for better load balancing
     const stealWork = () => {
@@ -342,18 +556,22 @@ export async function meshSwarm(
         if (completedTasks.has(task)) continue;
         completedTasks.add(task);
 
-        const start = performance.now();
-        const response = await agent.run(task);
-        const duration = performance.now() - start;
+        const run = await runGuardedAgent(agent, task, options, 'meshSwarm', conversation);
+        if (!run) {
+          completedTasks.delete(task);
+          taskQueue.push(task);
+          unavailable.add(agent);
+          return;
+        }
 
-        conversation.addLog(agent.agentName, task, response, duration);
-        responses.push(response);
+        conversation.addLog(run.agent.agentName, task, run.response, run.duration, run.attempts, run.output);
+        responses.push(run.response);
 
-        logger.debug({ 
+        logger.debug('Task completed', { 
           agent: agent.agentName,
           taskId,
           remainingTasks: taskQueue.length 
-        }, 'Task completed');
+        });
       }
     };
 
@@ -364,8 +582,17 @@ export async function meshSwarm(
 
     await Promise.all(workerPromises);
 
+    // Tasks handed back by skipped agents go to the agents still available
+    while (taskQueue.length > 0) {
+      const availableAgents = flatAgents.filter((agent) => !unavailable.has(agent));
+      if (!availableAgents.length) {
+        throw new Error(`No agents available for ${taskQueue.length} remaining tasks.`);
+      }
+      await Promise.all(availableAgents.map((agent) => processTask(agent, flatAgents.indexOf(agent))));
+    }
+
     return returnFullHistory ? conversation.returnHistory() : responses;
-  }, 'meshSwarm');
+  }, 'meshSwarm', options);
 }
 
 /**
@@ -375,40 +602,42 @@ export async function oneToOne(
   sender: Agent,
   receiver: Agent,
   task: string,
-  maxLoops: number = 1
+  maxLoops: number = 1,
+  options: SwarmOptions = {}
 ): Promise<ConversationHistory> {
+  const logger = options.logger ?? defaultLogger;
+
   return measurePerformance(async () => {
-    const conversation = new Conversation(maxLoops * 2);
+    validateOptions(options);
+    const conversation = new Conversation(maxLoops * 2, logger);
 
-    logger.info({ 
+    logger.info('Starting one-to-one communication', { 
       sender: sender.agentName,
       receiver: receiver.agentName,
       maxLoops 
-    }, 'Starting one-to-one communication');
+    });
 
     try {
       for (let i = 0; i < maxLoops; i++) {
-        const senderStart = performance.now();
-        const senderResponse = await sender.run(task);
-        const senderDuration = performance.now() - senderStart;
+        const senderRun = await runRequiredAgent(sender, task, options, 'oneToOne', conversation);
         
-        conversation.addLog(sender.agentName, task, senderResponse, senderDuration);
+        conversation.addLog(senderRun.agent.agentName, task, senderRun.response, senderRun.duration,
+                            senderRun.attempts, senderRun.output);
 
-        const receiverStart = performance.now();
-        const receiverResponse = await receiver.run(senderResponse);
-        const receiverDuration = performance.now() - receiverStart;
+        const receiverRun = await runRequiredAgent(receiver, senderRun.response, options, 'oneToOne', conversation);
         
-        conversation.addLog(receiver.agentName, task, receiverResponse, receiverDuration);
+        conversation.addLog(receiverRun.agent.agentName, task, receiverRun.response, receiverRun.duration,
+                            receiverRun.attempts, receiverRun.output);
 
-        logger.debug({ loop: i + 1, maxLoops }, 'Communication loop completed');
+        logger.debug('Communication loop completed', { loop: i + 1, maxLoops });
       }
     } catch (error) {
-      logger.error({ error }, 'One-to-one communication failed');
+      logger.error('One-to-one communication failed', { error });
       throw error;
     }
 
     return conversation.returnHistory();
-  }, 'oneToOne');
+  }, 'oneToOne', options);
 }
 
 /**
@@ -417,54 +646,66 @@ export async function oneToOne(
 export async function broadcast(
   sender: Agent,
   agents: AgentListType,
-  task: string
+  task: string,
+  options: SwarmOptions = {}
 ): Promise<ConversationHistory> {
+  const logger = options.logger ?? defaultLogger;
+
   return measurePerformance(async () => {
+    validateOptions(options);
     const flatAgents = flattenAgents(agents);
     
     if (!sender || !flatAgents.length || !task) {
       throw new Error("Sender, agents, and task cannot be empty.");
     }
 
-    const conversation = new Conversation(flatAgents.length + 1);
+    const conversation = new Conversation(flatAgents.length + 1, logger);
 
-    logger.info({ 
+    logger.info('Starting broadcast', { 
       sender: sender.agentName,
       receiversCount: flatAgents.length 
-    }, 'Starting broadcast');
+    });
 
     try {
       // Get sender's broadcast message
-      const senderStart = performance.now();
-      const broadcastMessage = await sender.run(task);
-      const senderDuration = performance.now() - senderStart;
+      const senderRun = await runRequiredAgent(sender, task, options, 'broadcast', conversation);
+      const broadcastMessage = senderRun.response;
       
-      conversation.addLog(sender.agentName, task, broadcastMessage, senderDuration);
+      conversation.addLog(senderRun.agent.agentName, task, broadcastMessage, senderRun.duration, senderRun.attempts,
+                          senderRun.output);
 
       // Process receivers in parallel batches for optimal performance
       const batchSize = 4;
       for (let i = 0; i < flatAgents.length; i += batchSize) {
         const batch = flatAgents.slice(i, i + batchSize);
         await Promise.all(batch.map(async (agent) => {
-          const start = performance.now();
-          const response = await agent.run(broadcastMessage);
-          const duration = performance.now() - start;
+          const run = await runGuardedAgent(agent, broadcastMessage, options, 'broadcast', conversation);
+          if (!run) return;
           
-          conversation.addLog(agent.agentName, broadcastMessage, response, duration);
+          conversation.addLog(run.agent.agentName, broadcastMessage, run.response, run.duration, run.attempts,
+                              run.output);
         }));
 
-        logger.debug({ 
+        logger.debug('Broadcast batch completed', { 
           completedAgents: Math.min(i + batchSize, flatAgents.length),
           totalAgents: flatAgents.length 
-        }, 'Broadcast batch completed');
+        });
       }
 
-      return conversation.returnHistory();
+      const history = conversation.returnHistory();
+      if (options.aggregation) {
+        // The first entry is the sender's message; receivers follow in the order they answered
+        const candidates = history.history.slice(1).map(log => ({ agentName: log.agentName, response: log.response }));
+        history.aggregate = await aggregate(options.aggregation, candidates, broadcastMessage);
+        logger.info('Broadcast responses aggregated', {
+          strategy: history.aggregate.strategy,
+          agentNames: history.aggregate.agentNames
+        });
+      }
+      return history;
     } catch (error) {
-      logger.error({ error }, 'Broadcast failed');
+      logger.error('Broadcast failed', { error });
       throw error;
     }
-  }, 'broadcast');
+  }, 'broadcast', options);
 }
-
-export type { ConversationHistoryMetrics, ConversationHistory, AgentLog };
\ No newline at end of file
@@ -0,0 +1,659 @@
+import { fork } from 'child_process';
+import type { Socket } from 'net';
+import { ResourceLimits, Worker } from 'worker_threads';
+import { AgentLifecycleError, WorkerCrashError } from './errors';
+
+/**
+ * A unit of work for the pool: the agent module to load and the task to run
+ */
+export interface WorkerJob {
+  modulePath: string;
+  exportName?: string;
+  args?: unknown[];
+  task: any;
+  /** Agent method to call, defaults to 'execute' */
+  method?: 'execute' | 'healthCheck';
+}
+
+/**
+ * The agent a job runs, which workers keep an instance of for later jobs
+ */
+export type WorkerAgent = Pick<WorkerJob, 'modulePath' | 'exportName' | 'args'>;
+
+/**
+ * Callbacks for what a job reports before it settles
+ */
+export interface JobListeners {
+  /** A worker picked the job up from the queue */
+  onStart?: () => void;
+  /** Partial results the agent streams */
+  onPartial?: (chunk: unknown) => void;
+  /** Failure of the agent's dispose() hook, which does not fail the job */
+  onDisposeError?: (error: AgentLifecycleError) => void;
+}
+
+/**
+ * What a pooled worker runs in: a worker thread, or a child process forked
+ * for agents whose native modules are not safe in worker threads
+ */
+export type WorkerMode = 'thread' | 'process';
+
+/**
+ * Options for sizing and recycling the worker pool
+ */
+export interface WorkerPoolOptions {
+  /** Maximum number of live workers */
+  size: number;
+  /** Defaults to 'thread' */
+  mode?: WorkerMode;
+  /** Replace a worker after it has completed this many jobs (unlimited when omitted) */
+  maxTasksPerWorker?: number;
+  /**
+   * Heap, stack and young generation limits applied to every worker. Child
+   * processes only honour maxOldGenerationSizeMb, as --max-old-space-size.
+   */
+  resourceLimits?: ResourceLimits;
+  /** Failure of a kept agent's dispose() hook when its worker is retired */
+  onDisposeError?: (error: AgentLifecycleError, agent: WorkerAgent) => void;
+}
+
+/**
+ * Snapshot of the pool's current load
+ */
+export interface WorkerPoolStats {
+  size: number;
+  idle: number;
+  busy: number;
+  queued: number;
+  /** Workers replaced so far, either after maxTasksPerWorker jobs or after a crash */
+  recycled: number;
+}
+
+/**
+ * Messages exchanged with a pooled worker. Messages about a job carry its id
+ * so replies can be matched to the job that produced them.
+ */
+type WorkerRequest = ({ type: 'run'; id: number } & WorkerJob) | { type: 'dispose' };
+
+type SerializedError = { name: string; message: string; stack?: string };
+
+type WorkerResponse =
+  | { type: 'partial'; id: number; chunk: unknown }
+  | { type: 'dispose-error'; id: number; error: SerializedError }
+  | { type: 'result'; id: number; result: unknown }
+  | { type: 'error'; id: number; error: SerializedError; phase?: 'init' }
+  | { type: 'retire-dispose-error'; agent: WorkerAgent; error: SerializedError }
+  | { type: 'disposed' };
+
+/**
+ * Source of a pooled worker: waits for jobs and posts the result of the
+ * agent's execute(), or of healthCheck() for probes, back to the parent.
+ * Agents without healthCheck() count as healthy. Partial results an agent
+ * streams through its onPartial() listener are posted as they come, ahead of
+ * the result.
+ *
+ * Agent instances are kept for later jobs by module, export and constructor
+ * arguments, and initialized before their first job. Agents constructed from
+ * the task are handed the next job's task through setTask(); those without it
+ * are disposed after their only job. The rest are disposed when the parent
+ * asks, before retiring the worker.
+ * The same source runs in a worker thread or, over the IPC channel, in a child process.
+ */
+const WORKER_SOURCE = `
+  const parentPort = require('worker_threads').parentPort || {
+    on: (event, listener) => process.on(event, listener),
+    postMessage: (message) => process.send(message)
+  };
+
+  const serialize = (error) => ({
+    name: (error && error.name) || 'Error',
+    message: (error && error.message) || String(error),
+    stack: error && error.stack
+  });
+
+  class InitFailure {
+    constructor(error) {
+      this.error = error;
+    }
+  }
+
+  // Idle agent instances by module, export and constructor arguments
+  const idle = new Map();
+
+  const keyOf = ({ modulePath, exportName, args }) => JSON.stringify([modulePath, exportName || null, args || null]);
+
+  const acquire = (job) => {
+    const { modulePath, exportName, args, task, method } = job;
+    const instances = idle.get(keyOf(job));
+    const reused = instances && instances.pop();
+    if (reused) {
+      if (!args && method !== 'healthCheck') {
+        reused.agent.setTask(task);
+      }
+      return reused;
+    }
+
+    const loaded = require(modulePath);
+    const AgentClass = exportName ? loaded[exportName] : (loaded && loaded.default) || loaded;
+    if (typeof AgentClass !== 'function') {
+      throw new Error('Module ' + modulePath + ' does not export an agent class' +
+        (exportName ? ' named ' + exportName : ''));
+    }
+    const agent = new AgentClass(...(args || [task]));
+    return { agent, initialized: false, reusable: Boolean(args) || typeof agent.setTask === 'function' };
+  };
+
+  const release = (job, instance) => {
+    const key = keyOf(job);
+    idle.set(key, [...(idle.get(key) || []), instance]);
+  };
+
+  const dispose = async (agent) => {
+    if (typeof agent.dispose === 'function') {
+      await agent.dispose();
+    }
+  };
+
+  const runJob = async (job) => {
+    const { id, modulePath, method } = job;
+    const instance = acquire(job);
+    const { agent } = instance;
+    if (method !== 'healthCheck') {
+      if (typeof agent.execute !== 'function') {
+        throw new Error('Agent loaded from ' + modulePath + ' does not implement execute()');
+      }
+      if (typeof agent.onPartial === 'function') {
+        agent.onPartial((chunk) => parentPort.postMessage({ type: 'partial', id, chunk }));
+      }
+    }
+
+    if (!instance.initialized && typeof agent.init === 'function') {
+      try {
+        await agent.init();
+      } catch (error) {
+        // Initialized again by its next job
+        if (instance.reusable) {
+          release(job, instance);
+        }
+        throw new InitFailure(error);
+      }
+    }
+    instance.initialized = true;
+    try {
+      if (method === 'healthCheck') {
+        return typeof agent.healthCheck === 'function' ? await agent.healthCheck() : true;
+      }
+      return await agent.execute();
+    } finally {
+      if (instance.reusable) {
+        release(job, instance);
+      } else {
+        await dispose(agent).catch(error => parentPort.postMessage({ type: 'dispose-error', id, error: serialize(error) }));
+      }
+    }
+  };
+
+  const disposeAll = async () => {
+    const entries = [...idle.entries()];
+    idle.clear();
+    await Promise.all(entries.map(([key, instances]) => {
+      const [modulePath, exportName, args] = JSON.parse(key);
+      const agent = { modulePath, exportName: exportName || undefined, args: args || undefined };
+      return Promise.all(instances.filter(instance => instance.initialized).map(instance =>
+        dispose(instance.agent).catch(error =>
+          parentPort.postMessage({ type: 'retire-dispose-error', agent, error: serialize(error) }))));
+    }));
+  };
+
+  parentPort.on('message', (message) => {
+    if (message.type === 'dispose') {
+      disposeAll().then(() => parentPort.postMessage({ type: 'disposed' }));
+      return;
+    }
+    runJob(message)
+      .then(result => parentPort.postMessage({ type: 'result', id: message.id, result }))
+      .catch(failure => parentPort.postMessage(failure instanceof InitFailure
+        ? { type: 'error', id: message.id, error: serialize(failure.error), phase: 'init' }
+        : { type: 'error', id: message.id, error: serialize(failure) }));
+  });
+`;
+
+/**
+ * Classify an error emitted by a worker, which ends the worker
+ */
+function crashError(error: Error): WorkerCrashError {
+  if ((error as NodeJS.ErrnoException).code === 'ERR_WORKER_OUT_OF_MEMORY') {
+    return new WorkerCrashError('Worker ran out of memory', 'out-of-memory', undefined, error);
+  }
+  return new WorkerCrashError(`Worker crashed: ${error.message}`, 'error', undefined, error);
+}
+
+/**
+ * Name a forked worker shows up under in process listings. node -e ignores
+ * the script path fork() requires, leaving it in the child's process.argv.
+ */
+const PROCESS_TITLE = 'swarms-agent-worker';
+
+/**
+ * How long a retiring worker is given to dispose its agents before it is terminated
+ */
+const DISPOSE_TIMEOUT_MS = 5000;
+
+/**
+ * A live worker thread or child process, seen through the operations the pool needs
+ */
+interface WorkerHandle {
+  postMessage(request: WorkerRequest): void;
+  ref(): void;
+  unref(): void;
+  terminate(): Promise<void>;
+  /** Stop delivering messages and crashes to the pool */
+  detach(): void;
+}
+
+interface WorkerListeners {
+  onMessage: (message: WorkerResponse) => void;
+  onCrash: (error: WorkerCrashError) => void;
+}
+
+function spawnThread(resourceLimits: ResourceLimits | undefined, listeners: WorkerListeners): WorkerHandle {
+  const worker = new Worker(WORKER_SOURCE, { eval: true, resourceLimits });
+  worker.on('message', listeners.onMessage);
+  worker.on('error', (error) => listeners.onCrash(crashError(error)));
+  worker.on('exit', (code) => {
+    listeners.onCrash(new WorkerCrashError(`Worker stopped with exit code ${code}`, 'exit', code));
+  });
+
+  return {
+    postMessage: (request) => worker.postMessage(request),
+    ref: () => worker.ref(),
+    unref: () => worker.unref(),
+    terminate: async () => {
+      await worker.terminate();
+    },
+    detach: () => worker.removeAllListeners()
+  };
+}
+
+function spawnProcess(resourceLimits: ResourceLimits | undefined, listeners: WorkerListeners): WorkerHandle {
+  const execArgv = resourceLimits?.maxOldGenerationSizeMb === undefined
+    ? []
+    : [`--max-old-space-size=${resourceLimits.maxOldGenerationSizeMb}`];
+  const child = fork(PROCESS_TITLE, [], {
+    execArgv: [...execArgv, '-e', WORKER_SOURCE],
+    serialization: 'advanced',
+    stdio: ['ignore', 'inherit', 'pipe', 'ipc']
+  });
+  const stderr = child.stderr as Socket;
+
+  // stderr is forwarded, keeping its tail to tell an out-of-memory abort from other exits
+  let stderrTail = '';
+  stderr.on('data', (chunk: Buffer) => {
+    process.stderr.write(chunk);
+    stderrTail = (stderrTail + chunk.toString()).slice(-1024);
+  });
+  child.on('message', listeners.onMessage);
+  child.on('error', (error) => listeners.onCrash(crashError(error)));
+  // 'close' rather than 'exit' so stderr has been read to the end
+  child.on('close', (code, signal) => {
+    if (/heap out of memory/i.test(stderrTail)) {
+      listeners.onCrash(new WorkerCrashError('Worker ran out of memory', 'out-of-memory'));
+    } else if (signal) {
+      listeners.onCrash(new WorkerCrashError(`Worker process killed by ${signal}`, 'exit'));
+    } else {
+      listeners.onCrash(new WorkerCrashError(`Worker stopped with exit code ${code}`, 'exit', code ?? undefined));
+    }
+  });
+
+  return {
+    postMessage: (request) => {
+      child.send(request);
+    },
+    ref: () => {
+      child.ref();
+      child.channel?.ref();
+      stderr.ref();
+    },
+    unref: () => {
+      child.unref();
+      child.channel?.unref();
+      stderr.unref();
+    },
+    terminate: () => new Promise((resolve) => {
+      if (child.exitCode !== null || child.signalCode !== null) {
+        resolve();
+        return;
+      }
+      child.once('exit', () => resolve());
+      child.kill();
+    }),
+    detach: () => {
+      child.removeAllListeners();
+      // An unhandled 'error' would be thrown, e.g. if killing the child fails
+      child.on('error', () => undefined);
+      stderr.removeAllListeners('data');
+      stderr.on('data', (chunk: Buffer) => process.stderr.write(chunk));
+    }
+  };
+}
+
+/**
+ * Rebuild an error posted by a worker
+ */
+function deserializeError(serialized: SerializedError): Error {
+  const error = new Error(serialized.message);
+  error.name = serialized.name;
+  if (serialized.stack) {
+    error.stack = serialized.stack;
+  }
+  return error;
+}
+
+/**
+ * Normalise an aborted signal's reason into an Error
+ */
+function abortReason(signal: AbortSignal): Error {
+  return signal.reason instanceof Error ? signal.reason : new Error('Job was aborted');
+}
+
+interface PendingJob {
+  id: number;
+  job: WorkerJob;
+  resolve: (result: unknown) => void;
+  reject: (error: Error) => void;
+  signal?: AbortSignal;
+  listeners: JobListeners;
+}
+
+interface PooledWorker {
+  worker: WorkerHandle;
+  current?: PendingJob;
+  tasksCompleted: number;
+  /** Set while the worker disposes its agents before being terminated */
+  onDisposed?: () => void;
+}
+
+/**
+ * Long-lived pool of worker threads, or child processes, that executes module agents.
+ * Workers are spawned lazily up to the pool size, reused across jobs and
+ * replaced after a crash or once they reach maxTasksPerWorker. Workers keep
+ * agent instances across jobs and dispose them when they are retired.
+ * Idle workers are unref'd so they never keep the process alive on their own.
+ */
+class WorkerPool {
+  private workers: PooledWorker[] = [];
+  private queue: PendingJob[] = [];
+  private nextJobId = 0;
+  private recycled = 0;
+  private destroyed = false;
+  private size: number;
+  private maxTasksPerWorker?: number;
+  private resourceLimits?: ResourceLimits;
+  private mode: WorkerMode;
+  private onDisposeError?: (error: AgentLifecycleError, agent: WorkerAgent) => void;
+
+  constructor(options: WorkerPoolOptions) {
+    if (!Number.isInteger(options.size) || options.size < 1) {
+      throw new Error('Worker pool size must be a positive integer');
+    }
+    if (options.maxTasksPerWorker !== undefined &&
+        (!Number.isInteger(options.maxTasksPerWorker) || options.maxTasksPerWorker < 1)) {
+      throw new Error('maxTasksPerWorker must be a positive integer');
+    }
+
+    this.size = options.size;
+    this.maxTasksPerWorker = options.maxTasksPerWorker;
+    this.resourceLimits = options.resourceLimits;
+    this.mode = options.mode ?? 'thread';
+    this.onDisposeError = options.onDisposeError;
+  }
+
+  /**
+   * Queue a job and resolve with the result of the agent's execute() (or healthCheck()).
+   * Aborting the signal drops a queued job, or terminates the worker running it,
+   * and rejects with the signal's reason. A failing init() hook rejects with an
+   * AgentLifecycleError; the listeners hear what the job reports before it settles.
+   */
+  run(job: WorkerJob, signal?: AbortSignal, listeners: JobListeners = {}): Promise<unknown> {
+    if (this.destroyed) {
+      return Promise.reject(new Error('Worker pool has been destroyed'));
+    }
+    if (signal?.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this.abort(pending);
+      const cleanup = () => signal?.removeEventListener('abort', onAbort);
+      const pending: PendingJob = {
+        id: this.nextJobId++,
+        job,
+        signal,
+        listeners,
+        resolve: (result) => {
+          cleanup();
+          resolve(result);
+        },
+        reject: (error) => {
+          cleanup();
+          reject(error);
+        }
+      };
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+      this.queue.push(pending);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Get the current pool load
+   */
+  getStats(): WorkerPoolStats {
+    const busy = this.workers.filter(pooled => pooled.current).length;
+    return {
+      size: this.size,
+      idle: this.workers.length - busy,
+      busy,
+      queued: this.queue.length,
+      recycled: this.recycled
+    };
+  }
+
+  /**
+   * Terminate every worker and reject queued and in-flight jobs. Idle workers
+   * dispose their agents first.
+   */
+  async destroy(): Promise<void> {
+    this.destroyed = true;
+
+    const error = new Error('Worker pool has been destroyed');
+    for (const pending of this.queue.splice(0)) {
+      pending.reject(error);
+    }
+
+    const workers = this.workers.splice(0);
+    await Promise.all(workers.map((pooled) => {
+      const pending = pooled.current;
+      pooled.current = undefined;
+      pending?.reject(error);
+      return this.retire(pooled, !pending);
+    }));
+  }
+
+  /**
+   * Hand queued jobs to idle workers, spawning new ones while below the pool size
+   */
+  private dispatch(): void {
+    while (this.queue.length > 0) {
+      let pooled = this.workers.find(candidate => !candidate.current);
+      if (!pooled) {
+        if (this.workers.length >= this.size) {
+          return;
+        }
+        pooled = this.spawn();
+      }
+
+      const pending = this.queue.shift() as PendingJob;
+      // A signal shared by several jobs may not have notified this one yet
+      if (pending.signal?.aborted) {
+        pending.reject(abortReason(pending.signal));
+        continue;
+      }
+
+      pooled.current = pending;
+      pooled.worker.ref();
+
+      const request: WorkerRequest = { type: 'run', id: pending.id, ...pending.job };
+      pooled.worker.postMessage(request);
+      pending.listeners.onStart?.();
+    }
+  }
+
+  private spawn(): PooledWorker {
+    const listeners: WorkerListeners = {
+      onMessage: (message) => this.handleMessage(pooled, message),
+      onCrash: (error) => this.handleCrash(pooled, error)
+    };
+    const pooled: PooledWorker = {
+      worker: this.mode === 'process'
+        ? spawnProcess(this.resourceLimits, listeners)
+        : spawnThread(this.resourceLimits, listeners),
+      tasksCompleted: 0
+    };
+
+    this.workers.push(pooled);
+    return pooled;
+  }
+
+  /**
+   * Forward a partial result of the job a worker is running, or settle the job
+   * it replied to and recycle the worker or hand it the next job
+   */
+  private handleMessage(pooled: PooledWorker, message: WorkerResponse): void {
+    if (message.type === 'disposed') {
+      pooled.onDisposed?.();
+      return;
+    }
+    if (message.type === 'retire-dispose-error') {
+      const cause = deserializeError(message.error);
+      this.onDisposeError?.(
+        new AgentLifecycleError(`Agent failed to dispose: ${cause.message}`, 'dispose', cause),
+        message.agent
+      );
+      return;
+    }
+
+    const pending = pooled.current;
+    if (!pending || pending.id !== message.id) {
+      return;
+    }
+    if (message.type === 'partial') {
+      pending.listeners.onPartial?.(message.chunk);
+      return;
+    }
+    if (message.type === 'dispose-error') {
+      const cause = deserializeError(message.error);
+      pending.listeners.onDisposeError?.(
+        new AgentLifecycleError(`Agent failed to dispose: ${cause.message}`, 'dispose', cause)
+      );
+      return;
+    }
+
+    pooled.current = undefined;
+    pooled.tasksCompleted++;
+
+    if (message.type === 'error') {
+      const error = deserializeError(message.error);
+      pending.reject(message.phase === 'init'
+        ? new AgentLifecycleError(`Agent failed to initialize: ${error.message}`, 'init', error)
+        : error);
+    } else {
+      pending.resolve(message.result);
+    }
+
+    if (this.maxTasksPerWorker !== undefined && pooled.tasksCompleted >= this.maxTasksPerWorker) {
+      this.recycle(pooled, true);
+    } else {
+      pooled.worker.unref();
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Drop a worker that errored or exited, failing its in-flight job
+   */
+  private handleCrash(pooled: PooledWorker, error: WorkerCrashError): void {
+    if (!this.workers.includes(pooled)) {
+      // A retiring worker that exits has nothing left to dispose
+      pooled.onDisposed?.();
+      return;
+    }
+
+    this.workers.splice(this.workers.indexOf(pooled), 1);
+    this.recycled++;
+    pooled.worker.detach();
+
+    const pending = pooled.current;
+    pooled.current = undefined;
+    pending?.reject(error);
+
+    // The worker may still be alive after an 'error' event
+    pooled.worker.terminate().catch(() => undefined);
+    this.dispatch();
+  }
+
+  /**
+   * Cancel a job: dequeue it if it has not started, otherwise terminate its worker
+   */
+  private abort(pending: PendingJob): void {
+    const reason = abortReason(pending.signal as AbortSignal);
+    const queuedIndex = this.queue.indexOf(pending);
+    if (queuedIndex !== -1) {
+      this.queue.splice(queuedIndex, 1);
+      pending.reject(reason);
+      return;
+    }
+
+    const pooled = this.workers.find(candidate => candidate.current === pending);
+    if (pooled) {
+      pooled.current = undefined;
+      this.recycle(pooled, false);
+      pending.reject(reason);
+      this.dispatch();
+    }
+  }
+
+  /**
+   * Retire a worker that reached maxTasksPerWorker or whose job was aborted;
+   * a fresh one is spawned on demand
+   */
+  private recycle(pooled: PooledWorker, disposeAgents: boolean): void {
+    this.workers.splice(this.workers.indexOf(pooled), 1);
+    this.recycled++;
+    this.retire(pooled, disposeAgents).catch(() => undefined);
+  }
+
+  /**
+   * Terminate a worker that has left the pool, after it disposes its agents
+   * if asked to. A worker whose job was cut off is terminated straight away,
+   * as its agents may still be in use.
+   */
+  private async retire(pooled: PooledWorker, disposeAgents: boolean): Promise<void> {
+    if (disposeAgents) {
+      await new Promise<void>((resolve) => {
+        const timer = setTimeout(resolve, DISPOSE_TIMEOUT_MS);
+        timer.unref();
+        pooled.onDisposed = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        pooled.worker.postMessage({ type: 'dispose' });
+      });
+    }
+    pooled.worker.detach();
+    await pooled.worker.terminate();
+  }
+}
+
+export default WorkerPool;
@@ -0,0 +1,12 @@
+// Agent that takes down its worker thread to exercise crash recovery
+class CrashAgent {
+  constructor(task) {
+    this.task = task;
+  }
+
+  async execute() {
+    process.exit(1);
+  }
+}
+
+module.exports = CrashAgent;
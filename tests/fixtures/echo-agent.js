@@ -0,0 +1,21 @@
+// Plain CommonJS agent so worker threads can load it without a TypeScript loader
+class EchoAgent {
+  constructor(task, prefix = 'echo') {
+    this.task = task;
+    this.prefix = prefix;
+  }
+
+  async execute() {
+    if (this.task === 'fail') {
+      throw new Error('Echo agent failed');
+    }
+    return `${this.prefix}: ${this.task}`;
+  }
+
+  async healthCheck() {
+    return this.prefix !== 'down';
+  }
+}
+
+module.exports = EchoAgent;
+module.exports.EchoAgent = EchoAgent;
@@ -0,0 +1,39 @@
+// Agent with init() and dispose() hooks; the task 'bad-init' or 'bad-dispose' makes that hook throw.
+// Results count the instance's inits and runs, to tell whether it was reused.
+class LifecycleAgent {
+  constructor(task) {
+    this.task = task;
+    this.ready = false;
+    this.inits = 0;
+    this.runs = 0;
+  }
+
+  async init() {
+    if (this.task === 'bad-init') {
+      throw new Error('Could not connect');
+    }
+    this.ready = true;
+    this.inits++;
+  }
+
+  async execute() {
+    this.runs++;
+    return `${this.ready ? 'ready' : 'not ready'}: ${this.task} (init ${this.inits}, run ${this.runs})`;
+  }
+
+  async dispose() {
+    if (this.task === 'bad-dispose') {
+      throw new Error('Could not disconnect');
+    }
+  }
+}
+
+// Takes each job's task through setTask(), so it can be reused without args
+class ReusableLifecycleAgent extends LifecycleAgent {
+  setTask(task) {
+    this.task = task;
+  }
+}
+
+module.exports = LifecycleAgent;
+module.exports.ReusableLifecycleAgent = ReusableLifecycleAgent;
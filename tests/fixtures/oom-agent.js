@@ -0,0 +1,15 @@
+// Agent that keeps allocating until its worker runs out of memory
+class OomAgent {
+  constructor(task) {
+    this.task = task;
+  }
+
+  async execute() {
+    const hoard = [];
+    for (;;) {
+      hoard.push(new Array(1024 * 1024).fill(this.task));
+    }
+  }
+}
+
+module.exports = OomAgent;
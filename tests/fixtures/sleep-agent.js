@@ -0,0 +1,14 @@
+// Agent that resolves after the given number of milliseconds
+class SleepAgent {
+  constructor(task, ms = 1000) {
+    this.task = task;
+    this.ms = ms;
+  }
+
+  async execute() {
+    await new Promise(resolve => setTimeout(resolve, this.ms));
+    return `slept: ${this.ms}`;
+  }
+}
+
+module.exports = SleepAgent;
@@ -0,0 +1,23 @@
+// Plain CommonJS agent that streams each word of its task as a partial result
+class StreamAgent {
+  constructor(task) {
+    this.task = task;
+  }
+
+  onPartial(listener) {
+    this.listener = listener;
+  }
+
+  async execute() {
+    const words = String(this.task).split(' ');
+    for (const word of words) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+      if (this.listener) {
+        this.listener(word);
+      }
+    }
+    return words.length;
+  }
+}
+
+module.exports = StreamAgent;
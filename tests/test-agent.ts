@@ -0,0 +1,133 @@
+import AgentBase from '../swarms/agent-base';
+import ConcurrentSwarm from '../swarms/concurrent_swarm';
+import { fromAgent, toAgent } from '../swarms/agent';
+import { AgentLifecycleError } from '../swarms/errors';
+import { broadcast, oneToOne } from '../swarms/swarm_architectures';
+import { silentLogger } from '../swarms/logger';
+
+class UpperAgent extends AgentBase<string, string> {
+  async execute(): Promise<string> {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return this.task.toUpperCase();
+  }
+}
+
+class ConnectedAgent extends AgentBase<string, string> {
+  init = jest.fn(async () => undefined);
+  dispose = jest.fn(async () => undefined);
+
+  async execute(): Promise<string> {
+    return `connected: ${this.task}`;
+  }
+}
+
+const createAgent = (name: string) => ({
+  agentName: name,
+  run: jest.fn(async (task: string) => `${name}: ${task}`)
+});
+
+describe('AgentBase as an agent', () => {
+  it('should run the given task and be named after its class', async () => {
+    const agent = new UpperAgent('initial');
+
+    expect(agent.agentName).toBe('UpperAgent');
+    await expect(agent.run('hello')).resolves.toBe('HELLO');
+    expect(agent.getTask()).toBe('hello');
+  });
+
+  it('should not let concurrent runs overwrite each other\'s task', async () => {
+    const agent = new UpperAgent('initial');
+
+    await expect(Promise.all([agent.run('a'), agent.run('b'), agent.run('c')])).resolves.toEqual(['A', 'B', 'C']);
+  });
+
+  it('should keep running after a failed run', async () => {
+    const agent = new UpperAgent('initial');
+    const run = agent.run(undefined as any);
+
+    await expect(run).rejects.toThrow(TypeError);
+    await expect(agent.run('next')).resolves.toBe('NEXT');
+  });
+
+  it('should work in the swarm architectures as it is', async () => {
+    const receiver = new UpperAgent('initial');
+    receiver.agentName = 'Shouter';
+
+    const history = await oneToOne(createAgent('Sender'), receiver, 'hello', 1, { logger: silentLogger });
+
+    expect(history.history.map(({ agentName, response }) => [agentName, response])).toEqual([
+      ['Sender', 'Sender: hello'],
+      ['Shouter', 'SENDER: HELLO']
+    ]);
+  });
+});
+
+describe('toAgent', () => {
+  it('should initialize the agent before its first run and dispose it after', async () => {
+    const agent = new ConnectedAgent('initial');
+    const adapted = toAgent(agent, 'Connected');
+
+    await broadcast(adapted, [createAgent('A'), createAgent('B')], 'one', { logger: silentLogger });
+    await adapted.run('two');
+    await adapted.dispose();
+
+    expect(adapted.agentName).toBe('Connected');
+    expect(agent.init).toHaveBeenCalledTimes(1);
+    expect(agent.dispose).toHaveBeenCalledTimes(1);
+  });
+
+  it('should retry a failed init on the next run and not dispose an agent that never initialized', async () => {
+    const agent = new ConnectedAgent('initial');
+    agent.init.mockRejectedValueOnce(new Error('No connection'));
+    const adapted = toAgent(agent);
+
+    const error = await adapted.run('task').catch(error => error);
+    expect(error).toBeInstanceOf(AgentLifecycleError);
+    expect(error).toMatchObject({ phase: 'init', message: 'Agent failed to initialize: No connection' });
+    await adapted.dispose();
+    expect(agent.dispose).not.toHaveBeenCalled();
+
+    await expect(adapted.run('task')).resolves.toBe('connected: task');
+    expect(agent.init).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('fromAgent', () => {
+  it('should adapt a plain agent to AgentBase', async () => {
+    const agent = createAgent('Plain');
+    const adapted = fromAgent(agent);
+
+    expect(adapted).toBeInstanceOf(AgentBase);
+    expect(adapted.agentName).toBe('Plain');
+    await expect(adapted.run('task')).resolves.toBe('Plain: task');
+    expect(() => fromAgent({ run: async () => 'x' } as any)).toThrow('agentName');
+  });
+
+  it('should let ConcurrentSwarm run plain agents on the task being performed', async () => {
+    const swarm = new ConcurrentSwarm(2, { logger: silentLogger });
+    const agent = createAgent('Plain');
+    swarm.addAgent(agent);
+    swarm.addAgent(fromAgent(createAgent('Adapted')), { name: 'Renamed' });
+    swarm.addAgent(new UpperAgent('own task'));
+
+    const results = await Promise.all([swarm.performTask('first'), swarm.performTask('second')]);
+
+    expect(results.map(taskResults => taskResults.map(({ agentName, result }) => [agentName, result]))).toEqual([
+      [['Plain', 'Plain: first'], ['Renamed', 'Adapted: first'], ['UpperAgent', 'OWN TASK']],
+      [['Plain', 'Plain: second'], ['Renamed', 'Adapted: second'], ['UpperAgent', 'OWN TASK']]
+    ]);
+    expect(agent.run).toHaveBeenCalledTimes(2);
+    await swarm.close();
+  });
+
+  it('should accept plain agents as replacements', async () => {
+    const swarm = new ConcurrentSwarm(1, { logger: silentLogger });
+    const id = swarm.addAgent(new UpperAgent('task'));
+
+    swarm.replaceAgent(id, createAgent('Replacement'));
+
+    const [result] = await swarm.performTask('task');
+    expect(result).toMatchObject({ agentId: id, agentName: 'Replacement', result: 'Replacement: task' });
+    await swarm.close();
+  });
+});
@@ -0,0 +1,105 @@
+import { aggregate, assertAggregationStrategy } from '../swarms/aggregation';
+import { AggregationError } from '../swarms/errors';
+import { broadcast } from '../swarms/swarm_architectures';
+import { silentLogger } from '../swarms/logger';
+
+const candidates = (...responses: any[]) =>
+  responses.map((response, i) => ({ agentName: `Agent${i}`, response }));
+
+const createAgent = (name: string, response: string) => ({
+  agentName: name,
+  run: jest.fn(async () => response)
+});
+
+describe('Aggregation strategies', () => {
+  it('should take the first response for first-success', async () => {
+    await expect(aggregate('first-success', candidates('a', 'b'), 'task'))
+      .resolves.toEqual({ strategy: 'first-success', value: 'a', agentNames: ['Agent0'] });
+  });
+
+  it('should take the most common response for majority, ties going to the first seen', async () => {
+    const result = await aggregate('majority', candidates('yes', 'no ', 'no', 'yes', 'maybe'), 'task');
+    expect(result).toEqual({ strategy: 'majority', value: 'yes', agentNames: ['Agent0', 'Agent3'], votes: 2 });
+
+    const byKey = await aggregate({ type: 'majority', key: (response) => response.toLowerCase() },
+      candidates('Paris', 'London', 'PARIS'), 'task');
+    expect(byKey).toMatchObject({ value: 'Paris', votes: 2 });
+  });
+
+  it('should compare response lengths for longest and shortest', async () => {
+    const responses = candidates('medium', 'a long answer', 'short', { a: 1 });
+
+    await expect(aggregate('longest', responses, 'task')).resolves.toMatchObject({ value: 'a long answer' });
+    await expect(aggregate('shortest', responses, 'task')).resolves.toMatchObject({ value: 'short', agentNames: ['Agent2'] });
+  });
+
+  it('should fold responses with a reducer', async () => {
+    const sum = await aggregate({ type: 'reducer', reducer: (total, response) => total + response, initialValue: 10 },
+      candidates(1, 2, 3), 'task');
+    expect(sum).toEqual({ strategy: 'reducer', value: 16, agentNames: ['Agent0', 'Agent1', 'Agent2'] });
+
+    const joined = await aggregate({ type: 'reducer', reducer: async (text, response) => `${text}\n${response}` },
+      candidates('a', 'b'), 'task');
+    expect(joined.value).toBe('a\nb');
+  });
+
+  it('should let a judge agent pick the best response', async () => {
+    const judge = createAgent('Judge', 'Response 2 is the most accurate.');
+
+    const result = await aggregate({ type: 'judge', judge }, candidates('wrong', 'right'), 'What is 2 + 2?');
+
+    expect(result).toEqual({
+      strategy: 'judge',
+      value: 'right',
+      agentNames: ['Agent1'],
+      judgement: 'Response 2 is the most accurate.'
+    });
+    expect(judge.run).toHaveBeenCalledWith(expect.stringContaining('What is 2 + 2?'));
+    expect(judge.run).toHaveBeenCalledWith(expect.stringContaining('1. wrong\n2. right'));
+  });
+
+  it('should fail when the judge picks none of the responses', async () => {
+    const judge = createAgent('Judge', 'None of them');
+
+    await expect(aggregate({ type: 'judge', judge }, candidates('a'), 'task')).rejects.toThrow(AggregationError);
+    await expect(aggregate({ type: 'judge', judge, parseChoice: () => 5 }, candidates('a'), 'task'))
+      .rejects.toThrow('Judge Judge did not pick one of the 1 responses');
+  });
+
+  it('should fail without any responses', async () => {
+    await expect(aggregate('majority', [], 'task')).rejects.toMatchObject({
+      name: 'AggregationError',
+      strategy: 'majority'
+    });
+  });
+
+  it('should validate strategies', () => {
+    expect(() => assertAggregationStrategy('average' as any)).toThrow('Unknown aggregation strategy: average');
+    expect(() => assertAggregationStrategy({ type: 'reducer' } as any)).toThrow('reducer function');
+    expect(() => assertAggregationStrategy({ type: 'judge' } as any)).toThrow('judge agent');
+  });
+});
+
+describe('Aggregation in broadcast', () => {
+  it('should aggregate the receivers\' responses alongside the history', async () => {
+    const receivers = [createAgent('A', 'blue'), createAgent('B', 'red'), createAgent('C', 'blue')];
+
+    const history = await broadcast(createAgent('Sender', 'Favourite colour?'), receivers, 'task', {
+      aggregation: 'majority',
+      logger: silentLogger
+    });
+
+    expect(history.history).toHaveLength(4);
+    expect(history.aggregate).toEqual({ strategy: 'majority', value: 'blue', agentNames: ['A', 'C'], votes: 2 });
+  });
+
+  it('should reject invalid strategies before running any agent', async () => {
+    const sender = createAgent('Sender', 'message');
+
+    await expect(broadcast(sender, [createAgent('A', 'a')], 'task', {
+      aggregation: 'average' as any,
+      logger: silentLogger
+    })).rejects.toThrow('Unknown aggregation strategy');
+    expect(sender.run).not.toHaveBeenCalled();
+  });
+});
@@ -9,12 +9,16 @@ import {
     broadcast,
     getMetrics
   } from '../swarms/swarm_architectures';
+  import { assertRetryPolicy, computeBackoff, withRetry } from '../swarms/retry';
+  import { SwarmEventEmitter } from '../swarms/events';
+  import { createConsoleLogger, createPinoLogger, createWinstonLogger, silentLogger } from '../swarms/logger';
   
   // Mock the pino logger to avoid console output during tests
   jest.mock('pino', () => {
     return () => ({
       info: jest.fn(),
       error: jest.fn(),
+      warn: jest.fn(),
       debug: jest.fn()
     });
   });
@@ -224,6 +228,220 @@ import {
       });
     });
   
+    describe('Retry Policy', () => {
+      const retryPolicy = { maxAttempts: 3, initialDelayMs: 1, jitter: 'none' as const };
+
+      const createFlakyAgent = (name: string, failures: number): Agent => {
+        let calls = 0;
+        return {
+          agentName: name,
+          run: jest.fn().mockImplementation(async (task: string) => {
+            if (calls++ < failures) {
+              throw new Error('Provider unavailable');
+            }
+            return `${name} processed: ${task}`;
+          })
+        };
+      };
+
+      it('should retry transient failures and record each attempt', async () => {
+        const agent = createFlakyAgent('Flaky', 2);
+
+        const result = await circularSwarm([agent], ['task'], true, { retryPolicy }) as ConversationHistory;
+        expect(agent.run).toHaveBeenCalledTimes(3);
+        expect(result.history[0]?.attempts).toHaveLength(2);
+        expect(result.history[0]?.attempts[0]).toMatchObject({ attempt: 1, error: 'Provider unavailable', delayMs: 1 });
+      });
+
+      it('should apply the retry policy to every architecture', async () => {
+        const sender = createFlakyAgent('Sender', 1);
+        const receiver = createFlakyAgent('Receiver', 1);
+
+        const result = await oneToOne(sender, receiver, 'task', 1, { retryPolicy });
+        expect(result.history.map(log => log.attempts.length)).toEqual([1, 1]);
+
+        const broadcastResult = await broadcast(createFlakyAgent('Sender', 1), [createFlakyAgent('Receiver', 2)], 'task', { retryPolicy });
+        expect(broadcastResult.history.map(log => log.attempts.length)).toEqual([1, 2]);
+      });
+
+      it('should give up once attempts are exhausted', async () => {
+        const agent = createFlakyAgent('Flaky', 5);
+
+        await expect(meshSwarm([agent], ['task'], true, { retryPolicy })).rejects.toThrow('Provider unavailable');
+        expect(agent.run).toHaveBeenCalledTimes(3);
+      });
+
+      it('should not retry errors rejected by the predicate', async () => {
+        const agent = createFlakyAgent('Flaky', 1);
+
+        await expect(starSwarm([agent], ['task'], true, {
+          retryPolicy: { ...retryPolicy, isRetryable: () => false }
+        })).rejects.toThrow('Provider unavailable');
+        expect(agent.run).toHaveBeenCalledTimes(1);
+      });
+
+      it('should record no attempts without a retry policy', async () => {
+        const result = await oneToOne(createMockAgent('Sender'), createMockAgent('Receiver'), 'task');
+        expect(result.history[0]?.attempts).toEqual([]);
+      });
+    });
+
+    describe('Lifecycle Events', () => {
+      const recordEvents = (events: SwarmEventEmitter) => {
+        const seen: string[] = [];
+        for (const name of ['swarm:start', 'swarm:end', 'agent:start', 'agent:response', 'agent:error'] as const) {
+          events.on(name, (payload) => {
+            seen.push('agentName' in payload ? `${name} ${payload.agentName}` : name);
+          });
+        }
+        return seen;
+      };
+
+      it('should emit swarm and agent events in order', async () => {
+        const events = new SwarmEventEmitter();
+        const seen = recordEvents(events);
+
+        await oneToOne(createMockAgent('Sender'), createMockAgent('Receiver'), 'task', 1, { events });
+        expect(seen).toEqual([
+          'swarm:start',
+          'agent:start Sender',
+          'agent:response Sender',
+          'agent:start Receiver',
+          'agent:response Receiver',
+          'swarm:end'
+        ]);
+      });
+
+      it('should include responses and durations in agent:response', async () => {
+        const events = new SwarmEventEmitter();
+        const listener = jest.fn();
+        events.on('agent:response', listener);
+
+        await broadcast(createMockAgent('Sender'), [createMockAgent('Receiver')], 'task', { events });
+        expect(listener).toHaveBeenCalledTimes(2);
+        expect(listener.mock.calls[1][0]).toMatchObject({
+          swarm: 'broadcast',
+          agentName: 'Receiver',
+          task: 'Sender processed: task',
+          response: 'Receiver processed: Sender processed: task',
+          attempts: 1
+        });
+      });
+
+      it('should emit agent:error and report the error in swarm:end', async () => {
+        const events = new SwarmEventEmitter();
+        const seen = recordEvents(events);
+        const swarmEnd = jest.fn();
+        events.on('swarm:end', swarmEnd);
+        const failingAgent = {
+          agentName: 'FailingAgent',
+          run: jest.fn().mockRejectedValue(new Error('Agent failed'))
+        };
+
+        await expect(meshSwarm([failingAgent], ['task'], true, { events })).rejects.toThrow();
+        expect(seen).toEqual(['swarm:start', 'agent:start FailingAgent', 'agent:error FailingAgent', 'swarm:end']);
+        expect(swarmEnd.mock.calls[0][0].error.message).toBe('Agent failed');
+      });
+    });
+
+    describe('Logging', () => {
+      it('should log through the injected logger', async () => {
+        const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+        await oneToOne(createMockAgent('Sender'), createMockAgent('Receiver'), 'task', 1, { logger });
+        expect(logger.info).toHaveBeenCalledWith('Starting one-to-one communication', expect.objectContaining({
+          sender: 'Sender',
+          receiver: 'Receiver'
+        }));
+        expect(logger.info).toHaveBeenCalledWith('Agent response recorded', expect.objectContaining({ agent: 'Receiver' }));
+      });
+
+      it('should stay quiet with the silent logger', async () => {
+        const spy = jest.spyOn(console, 'info').mockImplementation(() => undefined);
+        await broadcast(createMockAgent('Sender'), [createMockAgent('Receiver')], 'task', { logger: silentLogger });
+        expect(spy).not.toHaveBeenCalled();
+        spy.mockRestore();
+      });
+
+      it('should adapt pino, winston and console loggers', () => {
+        const pinoLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+        createPinoLogger(pinoLogger).warn('Retrying agent', { attempt: 1 });
+        expect(pinoLogger.warn).toHaveBeenCalledWith({ attempt: 1 }, 'Retrying agent');
+
+        const winstonLogger = { log: jest.fn() };
+        createWinstonLogger(winstonLogger).error('Broadcast failed', { agent: 'Sender' });
+        expect(winstonLogger.log).toHaveBeenCalledWith('error', 'Broadcast failed', { agent: 'Sender' });
+
+        const debug = jest.spyOn(console, 'debug').mockImplementation(() => undefined);
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+        const consoleLogger = createConsoleLogger('info');
+        consoleLogger.debug('Dropped');
+        consoleLogger.warn('Kept', { agent: 'Sender' });
+        expect(debug).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith('Kept', { agent: 'Sender' });
+        debug.mockRestore();
+        warn.mockRestore();
+      });
+
+      it('should flush pino loggers and end winston loggers only when asked to', async () => {
+        const pinoLogger = {
+          debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(),
+          flush: jest.fn((callback: () => void) => callback())
+        };
+        await createPinoLogger(pinoLogger).flush?.();
+        expect(pinoLogger.flush).toHaveBeenCalled();
+
+        let finish = () => undefined as void;
+        const winstonLogger = {
+          log: jest.fn(),
+          once: jest.fn((_event: 'finish', listener: () => void) => { finish = listener; }),
+          end: jest.fn(() => finish())
+        };
+        await createWinstonLogger(winstonLogger).flush?.();
+        expect(winstonLogger.end).not.toHaveBeenCalled();
+        await createWinstonLogger(winstonLogger, { endOnFlush: true }).flush?.();
+        expect(winstonLogger.end).toHaveBeenCalled();
+      });
+    });
+
+    describe('Backoff', () => {
+      it('should grow exponentially up to the maximum delay', () => {
+        const policy = { maxAttempts: 5, initialDelayMs: 100, maxDelayMs: 300, jitter: 'none' as const };
+        expect([1, 2, 3, 4].map(attempt => computeBackoff(policy, attempt))).toEqual([100, 200, 300, 300]);
+      });
+
+      it('should keep jittered delays within bounds', () => {
+        const policy = { maxAttempts: 5, initialDelayMs: 100 };
+        for (let i = 0; i < 20; i++) {
+          const full = computeBackoff(policy, 1);
+          const equal = computeBackoff({ ...policy, jitter: 'equal' }, 1);
+          expect(full).toBeGreaterThanOrEqual(0);
+          expect(full).toBeLessThanOrEqual(100);
+          expect(equal).toBeGreaterThanOrEqual(50);
+          expect(equal).toBeLessThanOrEqual(100);
+        }
+      });
+
+      it('should reject unknown jitter modes', () => {
+        const policy = { maxAttempts: 2, jitter: 'fulll' as any };
+        expect(() => assertRetryPolicy(policy)).toThrow('Retry jitter must be one of none, full, equal');
+        expect(() => computeBackoff(policy, 1)).toThrow('Unknown jitter mode: fulll');
+      });
+
+      it('should interrupt the backoff once the signal aborts', async () => {
+        const controller = new AbortController();
+        const operation = jest.fn().mockRejectedValue(new Error('Provider unavailable'));
+
+        const pending = withRetry(operation, { maxAttempts: 5, initialDelayMs: 1000, jitter: 'none' }, {
+          signal: controller.signal
+        });
+        setTimeout(() => controller.abort(new Error('Stopped')), 10);
+
+        await expect(pending).rejects.toThrow('Stopped');
+        expect(operation).toHaveBeenCalledTimes(1);
+      });
+    });
+
     describe('Performance Tests', () => {
       it('should handle large number of tasks efficiently', async () => {
         const agents = Array.from({ length: 5 }, (_, i) => createMockAgent(`Agent${i}`));
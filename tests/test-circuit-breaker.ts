@@ -0,0 +1,184 @@
+import { CircuitBreaker, CircuitBreakerRegistry, withCircuitBreaker } from '../swarms/circuit_breaker';
+import { CircuitOpenError } from '../swarms/errors';
+import { broadcast, meshSwarm, starSwarm, ConversationHistory } from '../swarms/swarm_architectures';
+import { silentLogger } from '../swarms/logger';
+import { SwarmEventEmitter } from '../swarms/events';
+
+const createAgent = (name: string, fail = false) => ({
+  agentName: name,
+  run: jest.fn(async (task: string) => {
+    if (fail) {
+      throw new Error(`${name} is down`);
+    }
+    return `${name}: ${task}`;
+  })
+});
+
+describe('CircuitBreaker', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should open after consecutive failures and reject without calling', async () => {
+    const onStateChange = jest.fn();
+    const breaker = new CircuitBreaker({ failureThreshold: 2, onStateChange });
+    const operation = jest.fn().mockRejectedValue(new Error('Backend down'));
+
+    await expect(breaker.execute(operation)).rejects.toThrow('Backend down');
+    expect(breaker.state).toBe('closed');
+    await expect(breaker.execute(operation)).rejects.toThrow('Backend down');
+    expect(breaker.state).toBe('open');
+    expect(onStateChange).toHaveBeenCalledWith('open', 'closed');
+
+    await expect(breaker.execute(operation, 'Agent')).rejects.toThrow(CircuitOpenError);
+    expect(operation).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reset the failure count on success', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 2 });
+
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should allow a single trial call once the cooldown has passed', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 1000 });
+    breaker.recordFailure();
+
+    jest.advanceTimersByTime(999);
+    expect(breaker.allowRequest()).toBe(false);
+    jest.advanceTimersByTime(1);
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.allowRequest()).toBe(true);
+    expect(breaker.allowRequest()).toBe(false);
+
+    breaker.recordSuccess();
+    expect(breaker.state).toBe('closed');
+  });
+
+  it('should reopen when the trial call fails', async () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 3, cooldownMs: 1000 });
+    breaker.recordFailure();
+    breaker.recordFailure();
+    breaker.recordFailure();
+    jest.advanceTimersByTime(1000);
+
+    await expect(breaker.execute(async () => { throw new Error('Still down'); })).rejects.toThrow('Still down');
+    expect(breaker.state).toBe('open');
+  });
+
+  it('should ignore errors rejected by isFailure', async () => {
+    const breaker = new CircuitBreaker({
+      failureThreshold: 1,
+      isFailure: (error) => (error as Error).message !== 'Bad input'
+    });
+
+    breaker.recordFailure(new Error('Bad input'));
+    expect(breaker.state).toBe('closed');
+    breaker.recordFailure(new Error('Backend down'));
+    expect(breaker.state).toBe('open');
+  });
+
+  it('should validate its options', () => {
+    expect(() => new CircuitBreaker({ failureThreshold: 0 })).toThrow();
+    expect(() => new CircuitBreaker({ cooldownMs: -1 })).toThrow();
+  });
+
+  it('should hand out one breaker per key from a registry', () => {
+    const registry = new CircuitBreakerRegistry({ failureThreshold: 1 });
+
+    registry.get('A').recordFailure();
+    expect(registry.get('A')).toBe(registry.get('A'));
+    expect(registry.getStates()).toEqual({ A: 'open' });
+  });
+
+  it('should guard agents wrapped with withCircuitBreaker', async () => {
+    const agent = createAgent('Flaky', true);
+    const guarded = withCircuitBreaker(agent, new CircuitBreaker({ failureThreshold: 1 }));
+
+    await expect(guarded.run('task')).rejects.toThrow('Flaky is down');
+    await expect(guarded.run('task')).rejects.toThrow(CircuitOpenError);
+    expect(agent.run).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Circuit breakers in swarm architectures', () => {
+  it('should skip receivers whose breaker is open and record them', async () => {
+    const circuitBreakers = new CircuitBreakerRegistry({ failureThreshold: 1 });
+    circuitBreakers.get('Down').recordFailure();
+    const down = createAgent('Down');
+    const onSkipped = jest.fn();
+    const events = new SwarmEventEmitter();
+    events.on('agent:skipped', onSkipped);
+
+    const history = await broadcast(createAgent('Sender'), [down, createAgent('Up')], 'task', {
+      circuitBreakers,
+      logger: silentLogger,
+      events
+    });
+
+    expect(down.run).not.toHaveBeenCalled();
+    expect(history.history.map(log => log.agentName)).toEqual(['Sender', 'Up']);
+    expect(history.skipped).toEqual([
+      expect.objectContaining({ agentName: 'Down', task: 'Sender: task', substitute: undefined })
+    ]);
+    expect(onSkipped).toHaveBeenCalledWith(expect.objectContaining({ agentName: 'Down', swarm: 'broadcast' }));
+  });
+
+  it('should run the substitute in place of an agent whose breaker is open', async () => {
+    const circuitBreakers = new CircuitBreakerRegistry({ failureThreshold: 1 });
+    circuitBreakers.get('Center').recordFailure();
+    const backup = createAgent('Backup');
+
+    const history = await starSwarm([createAgent('Center'), createAgent('Edge')], ['task'], true, {
+      circuitBreakers,
+      logger: silentLogger,
+      substituteAgent: (agent) => agent.agentName === 'Center' ? backup : undefined
+    }) as ConversationHistory;
+
+    expect(history.history.map(log => log.agentName)).toEqual(['Backup', 'Edge']);
+    expect(history.skipped).toEqual([expect.objectContaining({ agentName: 'Center', substitute: 'Backup' })]);
+  });
+
+  it('should fail when an agent the swarm needs is unavailable', async () => {
+    const circuitBreakers = new CircuitBreakerRegistry({ failureThreshold: 1 });
+    circuitBreakers.get('Center').recordFailure();
+
+    await expect(starSwarm([createAgent('Center'), createAgent('Edge')], ['task'], true, {
+      circuitBreakers,
+      logger: silentLogger
+    })).rejects.toThrow(CircuitOpenError);
+  });
+
+  it('should open the breaker of a failing agent and stop calling it', async () => {
+    const circuitBreakers = new CircuitBreakerRegistry({ failureThreshold: 1 });
+    const down = createAgent('Down', true);
+    const options = { circuitBreakers, logger: silentLogger };
+
+    await expect(broadcast(createAgent('Sender'), [down], 'task', options)).rejects.toThrow('Down is down');
+    const history = await broadcast(createAgent('Sender'), [down], 'task', options);
+
+    expect(down.run).toHaveBeenCalledTimes(1);
+    expect(history.skipped).toHaveLength(1);
+  });
+
+  it('should hand tasks of skipped mesh agents to the remaining agents', async () => {
+    const circuitBreakers = new CircuitBreakerRegistry({ failureThreshold: 1 });
+    circuitBreakers.get('Down').recordFailure();
+    const up = createAgent('Up');
+
+    const history = await meshSwarm([createAgent('Down'), up], ['a', 'b', 'c'], true, {
+      circuitBreakers,
+      logger: silentLogger
+    }) as ConversationHistory;
+
+    expect(history.history).toHaveLength(3);
+    expect(history.history.every(log => log.agentName === 'Up')).toBe(true);
+  });
+});
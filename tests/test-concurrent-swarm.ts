@@ -0,0 +1,1406 @@
+import path from 'path';
+import ConcurrentSwarm from '../swarms/concurrent_swarm';
+import AgentBase from '../swarms/agent-base';
+import {
+  AbortError,
+  AgentLifecycleError,
+  AgentUnhealthyError,
+  CircuitOpenError,
+  QueueFullError,
+  SwarmClosedError,
+  SwarmExecutionError,
+  TimeoutError,
+  ValidationError
+} from '../swarms/errors';
+import { RateLimiter } from '../swarms/rate_limiter';
+import { CircuitBreaker } from '../swarms/circuit_breaker';
+import { Schema } from '../swarms/schema';
+
+// Mock the pino logger to avoid console output during tests
+jest.mock('pino', () => {
+  return () => ({
+    info: jest.fn(),
+    error: jest.fn(),
+    warn: jest.fn(),
+    debug: jest.fn()
+  });
+});
+
+const echoAgentPath = path.join(__dirname, 'fixtures', 'echo-agent.js');
+const sleepAgentPath = path.join(__dirname, 'fixtures', 'sleep-agent.js');
+const crashAgentPath = path.join(__dirname, 'fixtures', 'crash-agent.js');
+const streamAgentPath = path.join(__dirname, 'fixtures', 'stream-agent.js');
+const lifecycleAgentPath = path.join(__dirname, 'fixtures', 'lifecycle-agent.js');
+
+class InlineAgent extends AgentBase {
+  execute = jest.fn().mockImplementation(async () => `inline: ${this.task}`);
+}
+
+class DelayedAgent extends AgentBase {
+  static inFlight = 0;
+  static maxInFlight = 0;
+  static finished: string[] = [];
+
+  constructor(task: string, private name: string, private delay: number) {
+    super(task);
+  }
+
+  async execute(): Promise<string> {
+    DelayedAgent.inFlight++;
+    DelayedAgent.maxInFlight = Math.max(DelayedAgent.maxInFlight, DelayedAgent.inFlight);
+    await new Promise(resolve => setTimeout(resolve, this.delay));
+    DelayedAgent.inFlight--;
+    DelayedAgent.finished.push(this.name);
+    return this.name;
+  }
+}
+
+describe('ConcurrentSwarm', () => {
+  describe('Module agents', () => {
+    it('should run a module agent inside a worker thread', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      const results = await swarm.performTask('task');
+      expect(results).toEqual([
+        {
+          agentIndex: 0,
+          agentId: expect.any(String),
+          agentName: 'echo-agent',
+          status: 'fulfilled',
+          result: 'echo: task',
+          durationMs: expect.any(Number),
+          attempts: 1
+        }
+      ]);
+      expect(swarm.getAgentCount()).toBe(1);
+    });
+
+    it('should pass constructor arguments and named exports to the worker', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgentModule({
+        modulePath: echoAgentPath,
+        exportName: 'EchoAgent',
+        args: ['fail', 'custom']
+      });
+
+      await expect(swarm.performTask('task')).rejects.toThrow('Echo agent failed');
+    });
+
+    it('should reject when the export is not a class', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgentModule({ modulePath: echoAgentPath, exportName: 'missing' });
+
+      await expect(swarm.performTask('task')).rejects.toThrow('does not export an agent class');
+    });
+
+    it('should reuse pooled workers across tasks', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      await swarm.performTask('first');
+      await swarm.performTask('second');
+
+      expect(swarm.getPoolStats()).toMatchObject({ idle: 2, busy: 0, queued: 0, recycled: 0 });
+    });
+
+    it('should throw for unresolvable module paths', () => {
+      const swarm = new ConcurrentSwarm(2);
+      expect(() => swarm.addAgentModule({ modulePath: './does-not-exist.js' })).toThrow();
+      expect(() => swarm.addAgentModule({ modulePath: '' })).toThrow();
+    });
+  });
+
+  describe('Agent instances', () => {
+    it('should execute instances on the main thread', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      const agent = new InlineAgent('task');
+      swarm.addAgent(agent);
+
+      const [record] = await swarm.performTask('task');
+      expect(agent.execute).toHaveBeenCalledTimes(1);
+      expect(record).toMatchObject({ agentIndex: 0, status: 'fulfilled', result: 'inline: task' });
+    });
+
+    it('should start the next agent as soon as a slot frees', async () => {
+      DelayedAgent.inFlight = 0;
+      DelayedAgent.maxInFlight = 0;
+      DelayedAgent.finished = [];
+
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgent(new DelayedAgent('task', 'slow', 150));
+      swarm.addAgent(new DelayedAgent('task', 'fast1', 10));
+      swarm.addAgent(new DelayedAgent('task', 'fast2', 10));
+      swarm.addAgent(new DelayedAgent('task', 'fast3', 10));
+
+      const results = await swarm.performTask('task');
+
+      // Results stay in agent order regardless of completion order
+      expect(results.map(({ result }) => result)).toEqual(['slow', 'fast1', 'fast2', 'fast3']);
+      // All fast agents finish while the slow agent still holds its slot
+      expect(DelayedAgent.finished).toEqual(['fast1', 'fast2', 'fast3', 'slow']);
+      expect(DelayedAgent.maxInFlight).toBe(2);
+    });
+
+    it('should stop starting agents after a failure', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      const failing = new InlineAgent('task');
+      failing.execute.mockRejectedValueOnce(new Error('Agent failed'));
+      const next = new InlineAgent('task');
+      swarm.addAgent(failing);
+      swarm.addAgent(next);
+
+      await expect(swarm.performTask('task')).rejects.toThrow('Agent failed');
+      expect(next.execute).not.toHaveBeenCalled();
+    });
+
+    it('should reject values that are neither an Agent nor an AgentBase', () => {
+      const swarm = new ConcurrentSwarm(2);
+      expect(() => swarm.addAgent({ execute: async () => 'result' } as any))
+        .toThrow('Agent must be an instance of AgentBase or have an agentName and a run() method');
+    });
+  });
+
+  describe('Failure policies', () => {
+    const failingAgent = () => {
+      const agent = new InlineAgent('task');
+      agent.execute.mockRejectedValue(new Error('Agent failed'));
+      return agent;
+    };
+
+    it('should cancel remaining agents on fail-fast', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgent(failingAgent());
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 5000] });
+
+      const startTime = Date.now();
+      await expect(swarm.performTask('task')).rejects.toThrow('Agent failed');
+      expect(Date.now() - startTime).toBeLessThan(1000);
+    });
+
+    it('should collect every result with all-settled', async () => {
+      const swarm = new ConcurrentSwarm(2, { failurePolicy: 'all-settled' });
+      swarm.addAgent(failingAgent());
+      swarm.addAgent(new InlineAgent('task'));
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      const results = await swarm.performTask('task');
+      expect(results.map(({ status }) => status)).toEqual(['rejected', 'fulfilled', 'fulfilled']);
+      expect(results[0]?.error?.message).toBe('Agent failed');
+      expect(results[2]?.result).toBe('echo: task');
+    });
+
+    it('should resolve once the quorum succeeds and cancel the rest', async () => {
+      const swarm = new ConcurrentSwarm(3, { failurePolicy: { type: 'quorum', quorum: 2 } });
+      swarm.addAgent(new InlineAgent('task'));
+      swarm.addAgent(failingAgent());
+      swarm.addAgent(new InlineAgent('task'));
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 5000] });
+
+      const results = await swarm.performTask('task');
+      expect(results.map(({ status }) => status)).toEqual(['fulfilled', 'rejected', 'fulfilled', 'cancelled']);
+    });
+
+    it('should reject with the results once the quorum is unreachable', async () => {
+      const swarm = new ConcurrentSwarm(1, { failurePolicy: { type: 'quorum', quorum: 2 } });
+      swarm.addAgent(failingAgent());
+      swarm.addAgent(failingAgent());
+      swarm.addAgent(new InlineAgent('task'));
+
+      const error = await swarm.performTask('task').catch(e => e);
+      expect(error).toBeInstanceOf(SwarmExecutionError);
+      expect(error.results.map(({ status }: { status: string }) => status))
+        .toEqual(['rejected', 'rejected', 'cancelled']);
+    });
+
+    it('should validate the quorum', () => {
+      expect(() => new ConcurrentSwarm(1, { failurePolicy: { type: 'quorum', quorum: 0 } })).toThrow();
+    });
+  });
+
+  describe('Timeouts and cancellation', () => {
+    it('should time out a hung agent and terminate its worker', async () => {
+      const swarm = new ConcurrentSwarm(2, { failurePolicy: 'all-settled' });
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 5000] }, { timeoutMs: 50 });
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      const results = await swarm.performTask('task');
+      expect(results[0]?.status).toBe('rejected');
+      expect(results[0]?.error).toBeInstanceOf(TimeoutError);
+      expect(results[1]?.status).toBe('fulfilled');
+      expect(swarm.getPoolStats()).toMatchObject({ busy: 0, recycled: 1 });
+    });
+
+    it('should apply the swarm-wide agent timeout', async () => {
+      const swarm = new ConcurrentSwarm(1, { agentTimeoutMs: 50 });
+      swarm.addAgent(new DelayedAgent('task', 'slow', 1000));
+
+      await expect(swarm.performTask('task')).rejects.toThrow('Agent 0 timed out after 50ms');
+    });
+
+    it('should reject with a TimeoutError when the task runs too long', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 5000] });
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      const error = await swarm.performTask('task', { timeoutMs: 50 }).catch(e => e);
+      expect(error).toBeInstanceOf(TimeoutError);
+      expect(error.timeoutMs).toBe(50);
+    });
+
+    it('should reject with an AbortError when the signal aborts', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 5000] });
+      const controller = new AbortController();
+
+      const pending = swarm.performTask('task', { signal: controller.signal });
+      setTimeout(() => controller.abort('shutting down'), 20);
+
+      const error = await pending.catch(e => e);
+      expect(error).toBeInstanceOf(AbortError);
+      expect(error.cause).toBe('shutting down');
+      expect(swarm.getPoolStats().busy).toBe(0);
+    });
+
+    it('should not start agents when the signal is already aborted', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      const agent = new InlineAgent('task');
+      swarm.addAgent(agent);
+
+      await expect(swarm.performTask('task', { signal: AbortSignal.abort() })).rejects.toBeInstanceOf(AbortError);
+      expect(agent.execute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Retries', () => {
+    it('should retry failing agents with the swarm retry policy', async () => {
+      const swarm = new ConcurrentSwarm(1, { retryPolicy: { maxAttempts: 3, initialDelayMs: 1 } });
+      const agent = new InlineAgent('task');
+      agent.execute.mockRejectedValueOnce(new Error('Rate limited'));
+      swarm.addAgent(agent);
+
+      const [record] = await swarm.performTask('task');
+      expect(record).toMatchObject({ status: 'fulfilled', result: 'inline: task', attempts: 2 });
+    });
+
+    it('should retry timed out attempts and let agents override the policy', async () => {
+      const swarm = new ConcurrentSwarm(1, {
+        failurePolicy: 'all-settled',
+        retryPolicy: { maxAttempts: 5, initialDelayMs: 1 }
+      });
+      swarm.addAgentModule(
+        { modulePath: sleepAgentPath, args: ['task', 5000] },
+        { timeoutMs: 30, retryPolicy: { maxAttempts: 2, initialDelayMs: 1 } }
+      );
+
+      const [record] = await swarm.performTask('task');
+      expect(record?.status).toBe('rejected');
+      expect(record?.error).toBeInstanceOf(TimeoutError);
+      expect(record?.attempts).toBe(2);
+    });
+
+    it('should validate retry policies', () => {
+      expect(() => new ConcurrentSwarm(1, { retryPolicy: { maxAttempts: 0 } })).toThrow();
+    });
+  });
+
+  describe('Task queue', () => {
+    let seen: string[] = [];
+
+    // Stub performTask so queue ordering can be observed without running agents
+    const createSwarm = (options = {}) => {
+      const swarm = new ConcurrentSwarm(1, options);
+      jest.spyOn(swarm, 'performTask').mockImplementation(async (task: any) => {
+        seen.push(task);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        return [{ agentIndex: 0, agentId: 'agent', agentName: 'agent', status: 'fulfilled', result: 'done', durationMs: 10, attempts: 1 }];
+      });
+      return swarm;
+    };
+
+    beforeEach(() => {
+      seen = [];
+    });
+
+    it('should drain submitted tasks in priority order', async () => {
+      const swarm = createSwarm();
+
+      const submissions = [
+        swarm.submit('first'),
+        swarm.submit('low', { priority: 1 }),
+        swarm.submit('high', { priority: 10 }),
+        swarm.submit('also-low', { priority: 1 })
+      ];
+      expect(swarm.getQueueStats()).toEqual({ queued: 3, running: 1, waiting: 0 });
+
+      const results = await Promise.all(submissions);
+      expect(seen).toEqual(['first', 'high', 'low', 'also-low']);
+      expect(results[0]?.[0]?.result).toBe('done');
+    });
+
+    it('should reject non-finite priorities without queueing the task', async () => {
+      const swarm = createSwarm();
+
+      for (const priority of [NaN, Infinity, -Infinity, '1' as any]) {
+        await expect(swarm.submit('bad', { priority })).rejects.toThrow(TypeError);
+      }
+      await expect(swarm.submit('bad', { priority: NaN })).rejects.toThrow('priority must be a finite number');
+      expect(swarm.getQueueStats()).toEqual({ queued: 0, running: 0, waiting: 0 });
+      expect(seen).toEqual([]);
+    });
+
+    it('should run the swarm agents for each submitted task', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      const results = await Promise.all([swarm.submit('a'), swarm.submit('b')]);
+      expect(results.map(([record]) => record?.result)).toEqual(['echo: a', 'echo: b']);
+    });
+
+    it('should reject when the queue is full', async () => {
+      const swarm = createSwarm({ maxQueueSize: 1 });
+
+      const running = swarm.submit('running');
+      const queued = swarm.submit('queued');
+      await expect(swarm.submit('overflow')).rejects.toBeInstanceOf(QueueFullError);
+      await Promise.all([running, queued]);
+    });
+
+    it('should wait for space when configured to', async () => {
+      const swarm = createSwarm({ maxQueueSize: 1, queueFullBehavior: 'wait' });
+
+      const submissions = [swarm.submit('running'), swarm.submit('queued'), swarm.submit('waiting')];
+      expect(swarm.getQueueStats()).toEqual({ queued: 1, running: 1, waiting: 1 });
+
+      await Promise.all(submissions);
+      expect(seen).toEqual(['running', 'queued', 'waiting']);
+    });
+
+    it('should drop queued tasks whose signal aborts', async () => {
+      const swarm = createSwarm();
+      const controller = new AbortController();
+
+      const running = swarm.submit('running');
+      const cancelled = swarm.submit('cancelled', { signal: controller.signal });
+      controller.abort();
+
+      await expect(cancelled).rejects.toBeInstanceOf(AbortError);
+      await running;
+      expect(seen).toEqual(['running']);
+    });
+  });
+
+  describe('Lifecycle events', () => {
+    it('should emit swarm and agent events', async () => {
+      const swarm = new ConcurrentSwarm(1, { failurePolicy: 'all-settled' });
+      const failing = new InlineAgent('task');
+      failing.execute.mockRejectedValue(new Error('Agent failed'));
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+      swarm.addAgent(failing);
+
+      const seen: string[] = [];
+      swarm.on('swarm:start', () => seen.push('swarm:start'));
+      swarm.on('agent:start', ({ agentName }) => seen.push(`agent:start ${agentName}`));
+      swarm.on('agent:response', ({ agentName, response }) => seen.push(`agent:response ${agentName} ${response}`));
+      swarm.on('agent:error', ({ agentIndex, error }) => seen.push(`agent:error ${agentIndex} ${error.message}`));
+      swarm.on('swarm:end', ({ error }) => seen.push(`swarm:end ${error ? 'failed' : 'ok'}`));
+
+      await swarm.performTask('task');
+      expect(seen).toEqual([
+        'swarm:start',
+        'agent:start echo-agent',
+        'agent:response echo-agent echo: task',
+        'agent:start InlineAgent',
+        'agent:error 1 Agent failed',
+        'swarm:end ok'
+      ]);
+    });
+
+    it('should emit agent:retry for each retried attempt', async () => {
+      const swarm = new ConcurrentSwarm(1, { retryPolicy: { maxAttempts: 3, initialDelayMs: 1 } });
+      const agent = new InlineAgent('task');
+      agent.execute.mockRejectedValueOnce(new Error('Rate limited'));
+      swarm.addAgent(agent);
+      const onRetry = jest.fn();
+      swarm.on('agent:retry', onRetry);
+
+      await swarm.performTask('task');
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({
+        agentIndex: 0,
+        attempt: expect.objectContaining({ attempt: 1, error: 'Rate limited' })
+      }));
+    });
+  });
+
+  describe('Logging', () => {
+    it('should log through the injected logger', async () => {
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      const swarm = new ConcurrentSwarm(1, { logger, failurePolicy: 'all-settled' });
+      const failing = new InlineAgent('task');
+      failing.execute.mockRejectedValue(new Error('Agent failed'));
+      swarm.addAgent(failing);
+
+      await swarm.performTask('task');
+      expect(logger.error).toHaveBeenCalledWith('Error in agent execution', expect.objectContaining({
+        agentIndex: 0,
+        error: 'Agent failed'
+      }));
+      expect(logger.info).toHaveBeenCalledWith('Task completed', expect.objectContaining({ task: 'task' }));
+    });
+  });
+
+  describe('Rate limiting', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should make agents wait for rate limiter capacity', async () => {
+      jest.useFakeTimers();
+      const swarm = new ConcurrentSwarm(2, { rateLimiter: new RateLimiter({ requestsPerMinute: 1 }) });
+      const first = new InlineAgent('task');
+      const second = new InlineAgent('task');
+      const separate = new InlineAgent('task');
+      swarm.addAgent(first);
+      swarm.addAgent(second);
+      swarm.addAgent(separate, { rateLimitKey: 'other' });
+
+      const pending = swarm.performTask('task');
+      await jest.advanceTimersByTimeAsync(0);
+      expect(first.execute).toHaveBeenCalledTimes(1);
+      expect(second.execute).not.toHaveBeenCalled();
+      expect(separate.execute).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(60000);
+      await pending;
+      expect(second.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should stop waiting behind another task for capacity once the task times out', async () => {
+      jest.useFakeTimers();
+      const limiter = new RateLimiter({ requestsPerMinute: 1 });
+      const swarm = new ConcurrentSwarm(1, { rateLimiter: limiter });
+      const agent = new InlineAgent('task');
+      swarm.addAgent(agent);
+      await limiter.acquire();
+
+      const first = swarm.performTask('first');
+      const second = swarm.performTask('second', { timeoutMs: 200 });
+      const secondTimedOut = expect(second).rejects.toThrow(TimeoutError);
+      await jest.advanceTimersByTimeAsync(200);
+      await secondTimedOut;
+      expect(agent.execute).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(60000);
+      await expect(first).resolves.toHaveLength(1);
+      expect(agent.execute).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Circuit breakers', () => {
+    it('should skip an agent once its breaker opens', async () => {
+      const swarm = new ConcurrentSwarm(2, {
+        failurePolicy: 'all-settled',
+        circuitBreaker: { failureThreshold: 2, cooldownMs: 60000 }
+      });
+      const failing = new InlineAgent('task');
+      failing.execute.mockRejectedValue(new Error('Backend down'));
+      swarm.addAgent(failing);
+      swarm.addAgent(new InlineAgent('task'));
+      const onSkipped = jest.fn();
+      swarm.on('agent:skipped', onSkipped);
+
+      await swarm.performTask('task');
+      await swarm.performTask('task');
+      const results = await swarm.performTask('task');
+
+      expect(failing.execute).toHaveBeenCalledTimes(2);
+      expect(results[0]).toEqual(expect.objectContaining({ status: 'skipped', attempts: 0 }));
+      expect(results[0]?.error).toBeInstanceOf(CircuitOpenError);
+      expect(results[1]).toEqual(expect.objectContaining({ status: 'fulfilled', result: 'inline: task' }));
+      expect(onSkipped).toHaveBeenCalledWith(expect.objectContaining({ agentIndex: 0 }));
+    });
+
+    it('should close the breaker after a successful trial call', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+      const swarm = new ConcurrentSwarm(1);
+      const agent = new InlineAgent('task');
+      agent.execute.mockRejectedValueOnce(new Error('Backend down'));
+      swarm.addAgent(agent, { circuitBreaker: breaker });
+
+      await expect(swarm.performTask('task')).rejects.toThrow('Backend down');
+      expect(breaker.state).toBe('half-open');
+
+      const results = await swarm.performTask('task');
+      expect(results[0]?.status).toBe('fulfilled');
+      expect(breaker.state).toBe('closed');
+    });
+
+    it('should count skipped agents against the quorum', async () => {
+      const breaker = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 60000 });
+      breaker.recordFailure();
+      const swarm = new ConcurrentSwarm(2, { failurePolicy: { type: 'quorum', quorum: 2 } });
+      swarm.addAgent(new InlineAgent('task'), { circuitBreaker: breaker });
+      swarm.addAgent(new InlineAgent('task'));
+
+      await expect(swarm.performTask('task')).rejects.toThrow(SwarmExecutionError);
+    });
+
+    it('should reject invalid breaker settings', () => {
+      expect(() => new ConcurrentSwarm(1, { circuitBreaker: { failureThreshold: 0 } })).toThrow();
+    });
+  });
+
+  describe('Health checks', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should quarantine agents that fail their health check and skip them', async () => {
+      const swarm = new ConcurrentSwarm(2, { failurePolicy: 'all-settled' });
+      const unhealthy = new InlineAgent('task');
+      unhealthy.healthCheck = jest.fn().mockResolvedValue(false);
+      swarm.addAgent(unhealthy);
+      swarm.addAgent(new InlineAgent('task'));
+      const onQuarantined = jest.fn();
+      swarm.on('agent:quarantined', onQuarantined);
+      expect(swarm.getAgentHealth().map(health => health.status)).toEqual(['unknown', 'unknown']);
+
+      const report = await swarm.checkHealth();
+      expect(report).toEqual([
+        expect.objectContaining({
+          agentIndex: 0,
+          agentName: 'InlineAgent',
+          status: 'quarantined',
+          consecutiveFailures: 1,
+          lastError: 'Agent reported itself unhealthy'
+        }),
+        expect.objectContaining({ agentIndex: 1, status: 'healthy', consecutiveFailures: 0 })
+      ]);
+      expect(onQuarantined).toHaveBeenCalledWith(expect.objectContaining({ agentIndex: 0 }));
+
+      const results = await swarm.performTask('task');
+      expect(unhealthy.execute).not.toHaveBeenCalled();
+      expect(results[0]).toEqual(expect.objectContaining({ status: 'skipped' }));
+      expect(results[0]?.error).toBeInstanceOf(AgentUnhealthyError);
+      expect(results[1]?.status).toBe('fulfilled');
+    });
+
+    it('should release quarantined agents once a probe passes', async () => {
+      const swarm = new ConcurrentSwarm(1, { healthCheck: { unhealthyThreshold: 2 } });
+      const agent = new InlineAgent('task');
+      agent.healthCheck = jest.fn()
+        .mockRejectedValueOnce(new Error('Backend down'))
+        .mockRejectedValueOnce(new Error('Backend down'))
+        .mockResolvedValue(true);
+      swarm.addAgent(agent);
+      const onRecovered = jest.fn();
+      swarm.on('agent:recovered', onRecovered);
+
+      expect((await swarm.checkHealth())[0]?.status).toBe('unhealthy');
+      expect((await swarm.checkHealth())[0]?.status).toBe('quarantined');
+      expect((await swarm.checkHealth())[0]?.status).toBe('healthy');
+      expect(onRecovered).toHaveBeenCalledWith(expect.objectContaining({ agentIndex: 0 }));
+    });
+
+    it('should time out hanging health checks', async () => {
+      const swarm = new ConcurrentSwarm(1, { healthCheck: { timeoutMs: 20 } });
+      const agent = new InlineAgent('task');
+      agent.healthCheck = () => new Promise(() => undefined);
+      swarm.addAgent(agent);
+
+      const [health] = await swarm.checkHealth();
+      expect(health).toEqual(expect.objectContaining({
+        status: 'quarantined',
+        lastError: 'Health check timed out after 20ms'
+      }));
+    });
+
+    it('should probe module agents in a worker', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+      swarm.addAgentModule({ modulePath: echoAgentPath, args: ['task', 'down'] });
+
+      const report = await swarm.checkHealth();
+      expect(report.map(health => health.status)).toEqual(['healthy', 'quarantined']);
+    });
+
+    it('should not time out probes waiting for a busy worker', async () => {
+      const swarm = new ConcurrentSwarm(1, { healthCheck: { timeoutMs: 100 } });
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 400] });
+
+      const running = swarm.performTask('task');
+      await new Promise(resolve => setTimeout(resolve, 50));
+      const [health] = await swarm.checkHealth();
+
+      expect(health?.status).toBe('healthy');
+      expect((await running)[0]?.status).toBe('fulfilled');
+      expect((await swarm.performTask('task'))[0]?.status).toBe('fulfilled');
+      await swarm.close();
+    });
+
+    it('should probe agents periodically until stopped', async () => {
+      jest.useFakeTimers();
+      const swarm = new ConcurrentSwarm(1, { healthCheck: { intervalMs: 1000 } });
+      const agent = new InlineAgent('task');
+      agent.healthCheck = jest.fn().mockResolvedValue(true);
+      swarm.addAgent(agent);
+
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(agent.healthCheck).toHaveBeenCalledTimes(2);
+
+      swarm.stopHealthChecks();
+      await jest.advanceTimersByTimeAsync(2000);
+      expect(agent.healthCheck).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Agent management', () => {
+    it('should give agents stable ids and names', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      const generatedId = swarm.addAgent(new InlineAgent('task'));
+      const id = swarm.addAgentModule({ modulePath: echoAgentPath }, { id: 'echo', name: 'Echo' });
+
+      expect(generatedId).toEqual(expect.any(String));
+      expect(id).toBe('echo');
+      expect(() => swarm.addAgent(new InlineAgent('task'), { id: 'echo' })).toThrow('already exists');
+
+      const results = await swarm.performTask('task');
+      expect(results.map(result => result.agentId)).toEqual([generatedId, 'echo']);
+    });
+
+    it('should remove agents by id', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      const removed = new InlineAgent('task');
+      const id = swarm.addAgent(removed);
+      swarm.addAgent(new InlineAgent('task'), { id: 'kept' });
+
+      expect(swarm.removeAgent(id)).toBe(true);
+      expect(swarm.removeAgent(id)).toBe(false);
+
+      await swarm.performTask('task');
+      expect(removed.execute).not.toHaveBeenCalled();
+      expect(swarm.listAgents().map(info => info.id)).toEqual(['kept']);
+    });
+
+    it('should replace an agent in place, keeping its id', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgent(new InlineAgent('task'), { id: 'first' });
+      swarm.addAgent(new InlineAgent('task'), { id: 'second' });
+      await swarm.performTask('task');
+
+      swarm.replaceAgent('first', { modulePath: echoAgentPath }, { name: 'Echo' });
+      const results = await swarm.performTask('task');
+
+      expect(results[0]).toEqual(expect.objectContaining({ agentId: 'first', result: 'echo: task' }));
+      expect(swarm.listAgents()[0]).toEqual(expect.objectContaining({
+        id: 'first',
+        name: 'Echo',
+        kind: 'module',
+        stats: expect.objectContaining({ fulfilled: 1 })
+      }));
+      expect(() => swarm.replaceAgent('missing', new InlineAgent('task'))).toThrow('No agent with id missing');
+    });
+
+    it('should list agents with their health and stats', async () => {
+      const swarm = new ConcurrentSwarm(2, { failurePolicy: 'all-settled', circuitBreaker: { failureThreshold: 1 } });
+      const failing = new InlineAgent('task');
+      failing.execute.mockRejectedValue(new Error('Agent failed'));
+      swarm.addAgent(failing, { id: 'failing' });
+      swarm.addAgent(new InlineAgent('task'), { id: 'working', name: 'Worker' });
+
+      await swarm.performTask('task');
+      await swarm.performTask('task');
+
+      expect(swarm.listAgents()).toEqual([
+        {
+          id: 'failing',
+          name: 'InlineAgent',
+          agentIndex: 0,
+          kind: 'instance',
+          health: 'unknown',
+          circuitState: 'open',
+          stats: {
+            fulfilled: 0,
+            rejected: 1,
+            cancelled: 0,
+            skipped: 1,
+            totalDurationMs: expect.any(Number),
+            lastRunAt: expect.any(Number)
+          }
+        },
+        expect.objectContaining({
+          id: 'working',
+          name: 'Worker',
+          stats: expect.objectContaining({ fulfilled: 2, rejected: 0 })
+        })
+      ]);
+    });
+  });
+
+  describe('Agent factory', () => {
+    it('should create an agent per task and dispose it afterwards', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      const created: InlineAgent[] = [];
+      const dispose = jest.fn();
+      swarm.setAgentFactory({
+        createAgent: (task) => {
+          const agent = new InlineAgent(task);
+          created.push(agent);
+          return agent;
+        },
+        dispose
+      });
+
+      const first = await swarm.performTask('first');
+      const second = await swarm.performTask('second');
+
+      expect(first).toEqual([expect.objectContaining({ result: 'inline: first' })]);
+      expect(second).toEqual([expect.objectContaining({ result: 'inline: second' })]);
+      expect(created).toHaveLength(2);
+      expect(dispose.mock.calls).toEqual([[created[0]], [created[1]]]);
+      expect(swarm.getAgentCount()).toBe(0);
+      expect(swarm.getFactoryStats()).toEqual({ live: 0, idle: 0, waiting: 0 });
+    });
+
+    it('should reuse pooled agents with the next task', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      const createAgent = jest.fn((task: string) => new InlineAgent(task));
+      const dispose = jest.fn();
+      swarm.setAgentFactory({ createAgent, dispose }, { scope: 'pooled' });
+
+      const [first] = await swarm.performTask('first');
+      const [second] = await swarm.performTask('second');
+
+      expect(createAgent).toHaveBeenCalledTimes(1);
+      expect(second).toEqual(expect.objectContaining({ agentId: first?.agentId, result: 'inline: second' }));
+      expect(dispose).not.toHaveBeenCalled();
+      expect(swarm.getFactoryStats()).toEqual({ live: 1, idle: 1, waiting: 0 });
+
+      swarm.setAgentFactory({ createAgent: (task) => new InlineAgent(task) });
+      await new Promise(resolve => setImmediate(resolve));
+      expect(dispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should make tasks wait while maxLiveAgents agents are alive', async () => {
+      const swarm = new ConcurrentSwarm(2, { taskConcurrency: 2 });
+      let live = 0;
+      let maxLive = 0;
+      swarm.setAgentFactory({
+        createAgent: (task) => {
+          maxLive = Math.max(maxLive, ++live);
+          return new DelayedAgent(task, task, 20);
+        },
+        dispose: () => {
+          live--;
+        }
+      }, { maxLiveAgents: 1 });
+
+      const tasks = [swarm.performTask('first'), swarm.performTask('second')];
+      await new Promise(resolve => setImmediate(resolve));
+      expect(swarm.getFactoryStats()).toEqual({ live: 1, idle: 0, waiting: 1 });
+
+      const results = await Promise.all(tasks);
+      expect(results.map(([result]) => result?.result)).toEqual(['first', 'second']);
+      expect(maxLive).toBe(1);
+    });
+
+    it('should count waiting for a factory agent against the task timeout', async () => {
+      const swarm = new ConcurrentSwarm(2, { taskConcurrency: 2 });
+      swarm.setAgentFactory({ createAgent: (task) => new DelayedAgent(task, task, 400) }, { maxLiveAgents: 1 });
+
+      const running = swarm.performTask('first');
+      const start = Date.now();
+      await expect(swarm.performTask('second', { timeoutMs: 50 })).rejects.toThrow(TimeoutError);
+      expect(Date.now() - start).toBeLessThan(300);
+      await running;
+    });
+
+    it('should reject tasks aborted while waiting for a factory agent with an AbortError', async () => {
+      const swarm = new ConcurrentSwarm(2, { taskConcurrency: 2 });
+      swarm.setAgentFactory({ createAgent: (task) => new DelayedAgent(task, task, 100) }, { maxLiveAgents: 1 });
+
+      const running = swarm.performTask('first');
+      running.catch(() => undefined);
+      const controller = new AbortController();
+      const aborted = swarm.performTask('second', { signal: controller.signal });
+      const closed = swarm.performTask('third');
+      closed.catch(() => undefined);
+      await new Promise(resolve => setImmediate(resolve));
+      controller.abort();
+
+      await expect(aborted).rejects.toThrow(AbortError);
+      await swarm.close({ force: true });
+      const error = await closed.catch(error => error);
+      expect(error).toBeInstanceOf(AbortError);
+      expect(error.cause).toBeInstanceOf(SwarmClosedError);
+    });
+
+    it('should log dispose errors without failing the task', async () => {
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      const swarm = new ConcurrentSwarm(1, { logger });
+      swarm.setAgentFactory({
+        createAgent: (task) => new InlineAgent(task),
+        dispose: () => {
+          throw new Error('Close failed');
+        }
+      });
+
+      await expect(swarm.performTask('task')).resolves.toHaveLength(1);
+      expect(logger.error).toHaveBeenCalledWith('Failed to dispose factory agent', { error: 'Close failed' });
+    });
+
+    it('should validate factory options', () => {
+      const swarm = new ConcurrentSwarm(1);
+      expect(() => swarm.setAgentFactory({ createAgent: (task) => new InlineAgent(task) }, { maxLiveAgents: 0 }))
+        .toThrow('maxLiveAgents must be a positive integer');
+    });
+  });
+
+  describe('Worker crashes', () => {
+    it('should classify crashed workers in the results', async () => {
+      const swarm = new ConcurrentSwarm(2, { failurePolicy: 'all-settled' });
+      swarm.addAgentModule({ modulePath: crashAgentPath });
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      const results = await swarm.performTask('task');
+      expect(results[0]).toEqual(expect.objectContaining({ status: 'rejected', crash: 'exit' }));
+      expect(results[1]).toEqual(expect.objectContaining({ status: 'fulfilled', result: 'echo: task' }));
+    });
+
+    it('should restart a crashed agent in a fresh worker', async () => {
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      const swarm = new ConcurrentSwarm(1, { crashRestarts: 2, logger });
+      swarm.addAgentModule({ modulePath: crashAgentPath });
+
+      await expect(swarm.performTask('task')).rejects.toThrow('Worker stopped with exit code 1');
+      expect(logger.warn).toHaveBeenCalledTimes(2);
+      expect(logger.warn).toHaveBeenCalledWith('Restarting agent after worker crash', expect.objectContaining({
+        agentIndex: 0,
+        reason: 'exit'
+      }));
+      expect(swarm.getPoolStats().recycled).toBe(3);
+    });
+
+    it('should reject invalid crash restart counts', () => {
+      expect(() => new ConcurrentSwarm(1, { crashRestarts: -1 })).toThrow('crashRestarts');
+    });
+  });
+
+  describe('Execution modes', () => {
+    it('should run module agents in child processes', async () => {
+      const swarm = new ConcurrentSwarm(2, { executionMode: 'process' });
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+      swarm.addAgentModule({ modulePath: echoAgentPath, args: ['task', 'down'] });
+
+      const results = await swarm.performTask('task');
+      expect(results.map(result => result.result)).toEqual(['echo: task', 'down: task']);
+      expect((await swarm.checkHealth()).map(health => health.status)).toEqual(['healthy', 'quarantined']);
+    });
+
+    it('should run module agents on the main thread inline', async () => {
+      const swarm = new ConcurrentSwarm(2, { executionMode: 'inline', failurePolicy: 'all-settled' });
+      swarm.addAgentModule({ modulePath: echoAgentPath, exportName: 'EchoAgent' });
+      swarm.addAgentModule({ modulePath: echoAgentPath, args: ['fail'] });
+
+      const results = await swarm.performTask('task');
+      expect(results[0]).toEqual(expect.objectContaining({ status: 'fulfilled', result: 'echo: task' }));
+      expect(results[1]).toEqual(expect.objectContaining({ status: 'rejected' }));
+      expect(results[1]?.error?.message).toBe('Echo agent failed');
+      expect(swarm.getPoolStats()).toMatchObject({ idle: 0, busy: 0 });
+    });
+
+    it('should reject unknown execution modes', () => {
+      expect(() => new ConcurrentSwarm(1, { executionMode: 'fiber' as any })).toThrow('executionMode');
+    });
+  });
+
+  describe('Streaming partial results', () => {
+    class StreamingAgent extends AgentBase {
+      async execute(): Promise<string> {
+        this.emitPartial('thinking');
+        await new Promise(resolve => setTimeout(resolve, 5));
+        this.emitPartial('done');
+        return `streamed: ${this.task}`;
+      }
+    }
+
+    it.each(['thread', 'process', 'inline'] as const)('should stream partials of module agents in %s mode', async (executionMode) => {
+      const swarm = new ConcurrentSwarm(1, { executionMode });
+      const id = swarm.addAgentModule({ modulePath: streamAgentPath });
+      const onPartial = jest.fn();
+
+      const results = await swarm.performTask('one two three', { onPartial });
+
+      expect(results[0]?.result).toBe(3);
+      expect(onPartial.mock.calls.map(([partial]) => partial.chunk)).toEqual(['one', 'two', 'three']);
+      expect(onPartial).toHaveBeenCalledWith({ agentIndex: 0, agentId: id, agentName: 'stream-agent', attempt: 1, chunk: 'one' });
+    });
+
+    it('should stream partials of agent instances and emit them as events', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      const agent = new StreamingAgent('task');
+      swarm.addAgent(agent, { name: 'streamer' });
+      const onPartial = jest.fn();
+      swarm.on('agent:partial', onPartial);
+
+      await swarm.performTask('task');
+
+      expect(onPartial.mock.calls.map(([event]) => event.chunk)).toEqual(['thinking', 'done']);
+      expect(onPartial).toHaveBeenCalledWith(expect.objectContaining({ agentName: 'streamer', attempt: 1 }));
+    });
+
+    it('should send the partials of an agent running in two tasks at once to their own task', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgent(new StreamingAgent('task'));
+      const first = jest.fn();
+      const second = jest.fn();
+
+      await Promise.all([
+        swarm.performTask('first', { onPartial: first }),
+        swarm.performTask('second', { onPartial: second })
+      ]);
+
+      expect(first.mock.calls.map(([partial]) => partial.chunk)).toEqual(['thinking', 'done']);
+      expect(second.mock.calls.map(([partial]) => partial.chunk)).toEqual(['thinking', 'done']);
+    });
+
+    it('should yield partials and then the results from streamTask', async () => {
+      const swarm = new ConcurrentSwarm(2);
+      swarm.addAgent(new StreamingAgent('task'));
+      swarm.addAgentModule({ modulePath: streamAgentPath });
+
+      const events = [];
+      for await (const event of swarm.streamTask('a b')) {
+        events.push(event);
+      }
+
+      expect(events.filter(event => event.type === 'partial').map(event => event.type === 'partial' && event.chunk).sort())
+        .toEqual(['a', 'b', 'done', 'thinking']);
+      const last = events[events.length - 1];
+      expect(last?.type).toBe('results');
+      expect(last?.type === 'results' && last.results.map(result => result.result)).toEqual(['streamed: task', 2]);
+    });
+
+    it('should throw from streamTask when the task fails', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      swarm.addAgentModule({ modulePath: echoAgentPath, args: ['fail'] });
+
+      const iterate = async () => {
+        for await (const event of swarm.streamTask('task')) {
+          void event;
+        }
+      };
+      await expect(iterate()).rejects.toThrow('Echo agent failed');
+    });
+
+    it('should abort the task when the stream is closed early', async () => {
+      const swarm = new ConcurrentSwarm(1, { failurePolicy: 'all-settled' });
+      swarm.addAgentModule({ modulePath: streamAgentPath });
+      const onEnd = jest.fn();
+      swarm.on('swarm:end', onEnd);
+
+      for await (const event of swarm.streamTask('a b c d e f g h')) {
+        expect(event).toMatchObject({ type: 'partial', chunk: 'a' });
+        break;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ error: expect.any(AbortError) }));
+    });
+  });
+
+  describe('Shutdown', () => {
+    it('should finish running and queued tasks when draining and refuse new ones', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      swarm.addAgent(new DelayedAgent('task', 'slow', 30));
+
+      const running = swarm.performTask('first');
+      const queued = swarm.submit('second');
+      const drained = swarm.drain();
+
+      await expect(swarm.performTask('third')).rejects.toThrow(SwarmClosedError);
+      await expect(swarm.submit('third')).rejects.toThrow(SwarmClosedError);
+      await drained;
+      await expect(running).resolves.toHaveLength(1);
+      await expect(queued).resolves.toHaveLength(1);
+      expect(swarm.getQueueStats()).toEqual({ queued: 0, running: 0, waiting: 0 });
+    });
+
+    it('should refuse producers waiting for queue space once draining', async () => {
+      const swarm = new ConcurrentSwarm(1, { maxQueueSize: 1, queueFullBehavior: 'wait' });
+      swarm.addAgent(new DelayedAgent('task', 'slow', 30));
+
+      const first = swarm.submit('first');
+      const second = swarm.submit('second');
+      const waiting = expect(swarm.submit('third')).rejects.toThrow(SwarmClosedError);
+      await swarm.drain();
+
+      await waiting;
+      await expect(Promise.all([first, second])).resolves.toHaveLength(2);
+    });
+
+    it('should terminate workers and flush the logger on close', async () => {
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn(), flush: jest.fn() };
+      const swarm = new ConcurrentSwarm(2, { logger, healthCheck: { intervalMs: 1000 } });
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+      await swarm.performTask('task');
+      expect(swarm.getPoolStats().idle).toBe(1);
+
+      await swarm.close();
+
+      expect(swarm.getPoolStats()).toMatchObject({ idle: 0, busy: 0 });
+      expect(logger.flush).toHaveBeenCalledTimes(1);
+      await expect(swarm.performTask('task')).rejects.toThrow('Swarm is closed and no longer accepts tasks');
+      await expect(swarm.close()).resolves.toBeUndefined();
+    });
+
+    it('should abort running tasks and reject queued ones on a forced close', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 5000] });
+
+      const running = swarm.submit('first');
+      const queued = swarm.submit('second');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      await swarm.close({ force: true });
+
+      await expect(running).rejects.toThrow(AbortError);
+      await expect(queued).rejects.toThrow(SwarmClosedError);
+    });
+
+    it('should force the close once timeoutMs has passed', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      swarm.addAgentModule({ modulePath: sleepAgentPath, args: ['task', 5000] });
+
+      const running = swarm.performTask('task');
+      running.catch(() => undefined);
+      const start = Date.now();
+      await swarm.close({ timeoutMs: 50 });
+
+      expect(Date.now() - start).toBeLessThan(2000);
+      await expect(running).rejects.toThrow(AbortError);
+    });
+
+    it('should close on the configured shutdown signals', async () => {
+      // Keeps the signal from taking its default effect once the swarm is closed
+      const keepAlive = () => undefined;
+      process.on('SIGTERM', keepAlive);
+      const listeners = process.listenerCount('SIGTERM');
+      const swarm = new ConcurrentSwarm(1, { shutdownSignals: ['SIGTERM'] });
+      swarm.addAgent(new DelayedAgent('task', 'slow', 30));
+      expect(process.listenerCount('SIGTERM')).toBe(listeners + 1);
+
+      try {
+        const running = swarm.performTask('task');
+        process.emit('SIGTERM', 'SIGTERM');
+
+        await expect(running).resolves.toHaveLength(1);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        await expect(swarm.performTask('task')).rejects.toThrow(SwarmClosedError);
+        expect(process.listenerCount('SIGTERM')).toBe(listeners);
+      } finally {
+        process.off('SIGTERM', keepAlive);
+      }
+    });
+
+    it('should remove its signal handlers when closed directly', async () => {
+      const listeners = process.listenerCount('SIGINT');
+      const swarm = new ConcurrentSwarm(1, { shutdownSignals: ['SIGINT'] });
+
+      await swarm.close();
+      expect(process.listenerCount('SIGINT')).toBe(listeners);
+    });
+  });
+
+  describe('Aggregation', () => {
+    it('should merge fulfilled results and return them alongside every result', async () => {
+      const swarm = new ConcurrentSwarm(3, { failurePolicy: 'all-settled' });
+      swarm.addAgentModule({ modulePath: echoAgentPath }, { name: 'first' });
+      swarm.addAgentModule({ modulePath: echoAgentPath, args: ['fail'] }, { name: 'failing' });
+      swarm.addAgentModule({ modulePath: echoAgentPath }, { name: 'third' });
+
+      const { aggregate, results } = await swarm.aggregateTask('task', 'majority');
+
+      expect(aggregate).toEqual({ strategy: 'majority', value: 'echo: task', agentNames: ['first', 'third'], votes: 2 });
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected', 'fulfilled']);
+    });
+
+    it('should fail with an AggregationError when no agent succeeded', async () => {
+      const swarm = new ConcurrentSwarm(1, { failurePolicy: 'all-settled' });
+      swarm.addAgentModule({ modulePath: echoAgentPath, args: ['fail'] });
+
+      await expect(swarm.aggregateTask('task', 'first-success')).rejects.toMatchObject({ name: 'AggregationError' });
+      await expect(swarm.aggregateTask('task', 'best' as any)).rejects.toThrow('Unknown aggregation strategy: best');
+    });
+  });
+
+  describe('Lifecycle hooks', () => {
+    class ConnectedAgent extends AgentBase {
+      init = jest.fn(async () => undefined);
+      dispose = jest.fn(async () => undefined);
+
+      async execute(): Promise<string> {
+        return `connected: ${this.task}`;
+      }
+    }
+
+    it('should initialize an agent once before its first run and dispose it on close', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      const agent = new ConnectedAgent('task');
+      swarm.addAgent(agent);
+
+      await swarm.performTask('first');
+      await swarm.performTask('second');
+      expect(agent.init).toHaveBeenCalledTimes(1);
+      expect(agent.dispose).not.toHaveBeenCalled();
+
+      await swarm.close();
+      expect(agent.dispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report init failures separately and try again on the next run', async () => {
+      const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+      const swarm = new ConcurrentSwarm(1, { failurePolicy: 'all-settled', logger });
+      const agent = new ConnectedAgent('task');
+      agent.init.mockRejectedValueOnce(new Error('Could not connect'));
+      swarm.addAgent(agent);
+
+      const [failed] = await swarm.performTask('first');
+      expect(failed?.status).toBe('rejected');
+      expect(failed?.error).toBeInstanceOf(AgentLifecycleError);
+      expect(failed?.error).toMatchObject({ phase: 'init', message: 'Agent failed to initialize: Could not connect' });
+      expect(logger.error).toHaveBeenCalledWith('Agent init failed', expect.objectContaining({ agentIndex: 0 }));
+
+      const [succeeded] = await swarm.performTask('second');
+      expect(succeeded?.result).toBe('connected: task');
+      expect(agent.init).toHaveBeenCalledTimes(2);
+    });
+
+    it('should dispose removed agents once their running tasks finish', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      const agent = new ConnectedAgent('task');
+      agent.execute = jest.fn(async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        return 'done';
+      });
+      const id = swarm.addAgent(agent);
+
+      const running = swarm.performTask('task');
+      await new Promise(resolve => setTimeout(resolve, 5));
+      swarm.removeAgent(id);
+      expect(agent.dispose).not.toHaveBeenCalled();
+
+      await running;
+      await new Promise(resolve => setImmediate(resolve));
+      expect(agent.dispose).toHaveBeenCalledTimes(1);
+    });
+
+    it('should emit dispose errors without failing anything', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      const agent = new ConnectedAgent('task');
+      agent.dispose.mockRejectedValue(new Error('Could not disconnect'));
+      const replacement = new ConnectedAgent('task');
+      const id = swarm.addAgent(agent, { name: 'connected' });
+      const onDisposeError = jest.fn();
+      swarm.on('agent:dispose-error', onDisposeError);
+
+      await swarm.performTask('task');
+      swarm.replaceAgent(id, replacement);
+      await new Promise(resolve => setImmediate(resolve));
+
+      expect(onDisposeError).toHaveBeenCalledWith(expect.objectContaining({
+        agentId: id,
+        agentName: 'connected',
+        error: expect.objectContaining({ phase: 'dispose', message: 'Agent failed to dispose: Could not disconnect' })
+      }));
+      expect(replacement.init).not.toHaveBeenCalled();
+    });
+
+    it('should not dispose agents that never ran', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      const agent = new ConnectedAgent('task');
+      swarm.addAgent(agent);
+
+      swarm.clearAgents();
+      await swarm.close();
+      expect(agent.dispose).not.toHaveBeenCalled();
+    });
+
+    it('should dispose task-scoped factory agents after their task', async () => {
+      const swarm = new ConcurrentSwarm(1);
+      const created: ConnectedAgent[] = [];
+      const dispose = jest.fn();
+      swarm.setAgentFactory({
+        createAgent: (task) => {
+          const agent = new ConnectedAgent(task);
+          created.push(agent);
+          return agent;
+        },
+        dispose
+      });
+
+      await swarm.performTask('task');
+
+      expect(created[0]?.init).toHaveBeenCalledTimes(1);
+      expect(created[0]?.dispose).toHaveBeenCalledTimes(1);
+      expect(dispose).toHaveBeenCalledWith(created[0]);
+    });
+
+    it.each(['thread', 'inline'] as const)('should run the hooks of module agents in %s mode', async (executionMode) => {
+      const swarm = new ConcurrentSwarm(2, { executionMode, failurePolicy: 'all-settled' });
+      swarm.addAgentModule({ modulePath: lifecycleAgentPath });
+      swarm.addAgentModule({ modulePath: lifecycleAgentPath, args: ['bad-init'] });
+      const disposeId = swarm.addAgentModule({ modulePath: lifecycleAgentPath, args: ['bad-dispose'] });
+      const onDisposeError = jest.fn();
+      swarm.on('agent:dispose-error', onDisposeError);
+
+      const results = await swarm.performTask('task');
+
+      expect(results[0]?.result).toBe('ready: task (init 1, run 1)');
+      expect(results[1]?.error).toMatchObject({ name: 'AgentLifecycleError', phase: 'init' });
+      expect(results[2]?.result).toBe('ready: bad-dispose (init 1, run 1)');
+      expect(onDisposeError).not.toHaveBeenCalled();
+
+      await swarm.close();
+      expect(onDisposeError).toHaveBeenCalledWith(expect.objectContaining({
+        agentId: disposeId,
+        error: expect.objectContaining({ message: 'Agent failed to dispose: Could not disconnect' })
+      }));
+    });
+
+    it.each(['thread', 'process', 'inline'] as const)('should keep module agents across jobs in %s mode', async (executionMode) => {
+      const swarm = new ConcurrentSwarm(1, { executionMode });
+      swarm.addAgentModule({ modulePath: lifecycleAgentPath, args: ['kept'] });
+      swarm.addAgentModule({ modulePath: lifecycleAgentPath, exportName: 'ReusableLifecycleAgent' });
+      swarm.addAgentModule({ modulePath: lifecycleAgentPath });
+
+      await swarm.performTask('first');
+      const results = await swarm.performTask('second');
+
+      expect(results.map(result => result.result)).toEqual([
+        'ready: kept (init 1, run 2)',
+        'ready: second (init 1, run 2)',
+        // Built from its task and unable to take another, so created for every job
+        'ready: second (init 1, run 1)'
+      ]);
+      await swarm.close();
+    });
+  });
+
+  describe('Typed agents and schemas', () => {
+    class WordCountAgent extends AgentBase<string, number> {
+      async execute(): Promise<number> {
+        return this.task.split(' ').length;
+      }
+    }
+
+    const sentence: Schema<string> = {
+      parse: (value) => {
+        if (typeof value !== 'string' || !value.trim()) {
+          throw new Error('Expected a non-empty string');
+        }
+        return value.trim();
+      }
+    };
+
+    const count: Schema<number> = {
+      parse: (value) => {
+        if (!Number.isInteger(value)) {
+          throw new Error('Expected an integer');
+        }
+        return value as number;
+      }
+    };
+
+    const logger = () => ({ debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+    it('should carry the agent result type through to the results', async () => {
+      const swarm = new ConcurrentSwarm<string, number>(2);
+      swarm.addAgent(new WordCountAgent('one two three'));
+      swarm.setAgentFactory({ createAgent: task => new WordCountAgent(task) });
+
+      const results = await swarm.performTask('four five');
+      const total: number = results.reduce((sum, { result }) => sum + (result ?? 0), 0);
+
+      expect(results.map(({ result }) => result)).toEqual([3, 2]);
+      expect(total).toBe(5);
+    });
+
+    it('should infer the task and result types from the schemas', async () => {
+      const swarm = ConcurrentSwarm.create(1, { schemas: { task: sentence, result: count } });
+      swarm.addAgent(new WordCountAgent('one two'));
+
+      const [first] = await swarm.performTask('  task  ');
+      const words: number | undefined = first?.result;
+      expect(words).toBe(2);
+    });
+
+    it('should reject invalid tasks before running any agent', async () => {
+      const swarm = new ConcurrentSwarm(1, { schemas: { task: sentence } });
+      const agent = new InlineAgent('task');
+      swarm.addAgent(agent);
+
+      const error = await swarm.performTask('   ').catch(error => error);
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error).toMatchObject({ target: 'task', message: 'Task failed validation: Expected a non-empty string' });
+      expect(error.cause).toEqual(new Error('Expected a non-empty string'));
+      await expect(swarm.submit('')).rejects.toThrow(ValidationError);
+      expect(swarm.getQueueStats().queued).toBe(0);
+      expect(agent.execute).not.toHaveBeenCalled();
+    });
+
+    it('should hand module agents the parsed task', async () => {
+      const swarm = new ConcurrentSwarm(1, { executionMode: 'inline', schemas: { task: sentence } });
+      swarm.addAgentModule({ modulePath: echoAgentPath });
+
+      const [performed] = await swarm.performTask('  performed ');
+      const [submitted] = await swarm.submit(' submitted  ');
+
+      expect(performed?.result).toBe('echo: performed');
+      expect(submitted?.result).toBe('echo: submitted');
+    });
+
+    it('should reject agents whose result fails validation', async () => {
+      const swarmLogger = logger();
+      const swarm = new ConcurrentSwarm(1, {
+        failurePolicy: 'all-settled',
+        schemas: { result: count },
+        logger: swarmLogger
+      });
+      swarm.addAgent(new WordCountAgent('one two'));
+      swarm.addAgent(new InlineAgent('task'));
+
+      const results = await swarm.performTask('task');
+
+      expect(results[0]).toMatchObject({ status: 'fulfilled', result: 2 });
+      expect(results[1]?.status).toBe('rejected');
+      expect(results[1]?.error).toMatchObject({
+        name: 'ValidationError',
+        target: 'result',
+        message: 'Result failed validation: Expected an integer'
+      });
+      expect(swarmLogger.warn).toHaveBeenCalledWith('Agent result failed validation', expect.objectContaining({
+        agentIndex: 1
+      }));
+    });
+
+    it('should retry agents whose result fails validation', async () => {
+      const swarm = new ConcurrentSwarm(1, {
+        schemas: { result: count },
+        retryPolicy: { maxAttempts: 2, initialDelayMs: 0 }
+      });
+      const agent = new InlineAgent('task');
+      agent.execute.mockResolvedValueOnce('not a number').mockResolvedValueOnce(7);
+      swarm.addAgent(agent);
+
+      const [result] = await swarm.performTask('task');
+
+      expect(result).toMatchObject({ status: 'fulfilled', result: 7, attempts: 2 });
+    });
+
+    it('should validate its schemas', () => {
+      expect(() => new ConcurrentSwarm(1, { schemas: { task: {} as Schema<string> } }))
+        .toThrow('schemas.task must have a parse() method');
+    });
+  });
+});
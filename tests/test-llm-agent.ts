@@ -0,0 +1,233 @@
+import { streamText } from 'ai';
+import { z } from 'zod';
+import { LLMAgent } from '../swarms/llm_agent';
+import { createMockModel } from '../swarms/mock_model';
+import ConcurrentSwarm from '../swarms/concurrent_swarm';
+import { broadcast, oneToOne, starSwarm } from '../swarms/swarm_architectures';
+import { withCircuitBreaker } from '../swarms/circuit_breaker';
+import { ValidationError } from '../swarms/errors';
+import { MockModelRequest } from '../swarms/mock_model';
+import { silentLogger } from '../swarms/logger';
+
+describe('createMockModel', () => {
+  it('should echo the prompt by default', async () => {
+    const agent = new LLMAgent({ agentName: 'Echo', model: createMockModel() });
+
+    await expect(agent.run('hello there')).resolves.toBe('hello there');
+  });
+
+  it('should cut responses to maxTokens words', async () => {
+    const agent = new LLMAgent({ agentName: 'Short', model: createMockModel(), maxTokens: 2 });
+
+    await expect(agent.run('one two three four')).resolves.toBe('one two');
+  });
+
+  it('should keep the whitespace of responses', async () => {
+    const response = '{\n  "steps": [\n    "one"\n  ]\n}\n';
+    const agent = new LLMAgent({ agentName: 'Formatted', model: createMockModel({ respond: () => response }) });
+    const short = new LLMAgent({ agentName: 'Short', model: createMockModel(), maxTokens: 2 });
+
+    await expect(agent.run('task')).resolves.toBe(response);
+    await expect(short.run('one\n  two\tthree')).resolves.toBe('one\n  two');
+  });
+
+  it('should stream the response a word at a time', async () => {
+    const result = streamText({ model: createMockModel({ respond: () => 'streamed in words' }), prompt: 'task' });
+    const chunks: string[] = [];
+    for await (const chunk of result.textStream) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks).toEqual(['streamed', ' in', ' words']);
+
+    const formatted = streamText({ model: createMockModel({ respond: () => ' a\n\nb ' }), prompt: 'task' });
+    const deltas: string[] = [];
+    for await (const chunk of formatted.textStream) {
+      deltas.push(chunk);
+    }
+    expect(deltas).toEqual([' a', '\n\nb', ' ']);
+    await expect(result.usage).resolves.toMatchObject({ promptTokens: 1, completionTokens: 3 });
+  });
+});
+
+describe('LLMAgent', () => {
+  it('should send the system prompt and sampling settings with every task', async () => {
+    const respond = jest.fn(async ({ prompt }: { prompt: string }) => `answer to ${prompt}`);
+    const agent = new LLMAgent({
+      agentName: 'Analyst',
+      model: createMockModel({ respond }),
+      systemPrompt: 'You are an analyst',
+      temperature: 0.2,
+      maxTokens: 50
+    });
+
+    await expect(agent.run('the question')).resolves.toBe('answer to the question');
+    expect(respond).toHaveBeenCalledWith({
+      system: 'You are an analyst',
+      prompt: 'the question',
+      temperature: 0.2,
+      maxTokens: 50
+    });
+  });
+
+  it('should leave retries to the caller by default', async () => {
+    const respond = jest.fn().mockRejectedValue(new Error('Model unavailable'));
+    const agent = new LLMAgent({ agentName: 'Flaky', model: createMockModel({ respond }) });
+
+    await expect(agent.run('task')).rejects.toThrow('Model unavailable');
+    expect(respond).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run the task being performed in a ConcurrentSwarm', async () => {
+    const swarm = new ConcurrentSwarm(2, { logger: silentLogger });
+    swarm.addAgent(new LLMAgent({ agentName: 'Upper', model: createMockModel({ respond: ({ prompt }) => prompt.toUpperCase() }) }));
+    swarm.addAgent(new LLMAgent({ agentName: 'Echo', model: createMockModel() }));
+
+    const results = await swarm.performTask('hello swarm');
+
+    expect(results.map(({ agentName, result }) => [agentName, result])).toEqual([
+      ['Upper', 'HELLO SWARM'],
+      ['Echo', 'hello swarm']
+    ]);
+    await swarm.close();
+  });
+
+  it('should work in the swarm architectures', async () => {
+    const sender = new LLMAgent({ agentName: 'Sender', model: createMockModel({ respond: () => 'Pick a colour' }) });
+    const receivers = ['A', 'B'].map(name => new LLMAgent({
+      agentName: name,
+      model: createMockModel({ respond: ({ prompt }) => `${name} heard: ${prompt}` })
+    }));
+
+    const history = await broadcast(sender, receivers, 'task', { logger: silentLogger });
+
+    expect(history.history.map(({ response }) => response)).toEqual([
+      'Pick a colour',
+      'A heard: Pick a colour',
+      'B heard: Pick a colour'
+    ]);
+  });
+
+  it('should validate its options', () => {
+    const model = createMockModel();
+    expect(() => new LLMAgent({ agentName: '', model })).toThrow('agentName');
+    expect(() => new LLMAgent({ agentName: 'Agent' } as any)).toThrow('language model');
+    expect(() => new LLMAgent({ agentName: 'Agent', model, temperature: -1 })).toThrow('temperature');
+    expect(() => new LLMAgent({ agentName: 'Agent', model, maxTokens: 0 })).toThrow('maxTokens');
+    expect(() => new LLMAgent({ agentName: 'Agent', model, maxRetries: 1.5 })).toThrow('maxRetries');
+  });
+});
+
+describe('LLMAgent structured output', () => {
+  const verdictSchema = {
+    type: 'object' as const,
+    properties: {
+      verdict: { enum: ['approve', 'reject'] },
+      score: { type: 'integer' as const, minimum: 0, maximum: 10 }
+    },
+    required: ['verdict', 'score'],
+    additionalProperties: false
+  };
+
+  const scripted = (...responses: string[]) => jest.fn(async (_request: MockModelRequest) => responses.shift() ?? '');
+
+  it('should ask for JSON matching the schema and resolve to it', async () => {
+    const respond = scripted('{"verdict": "approve", "score": 8}');
+    const agent = new LLMAgent({
+      agentName: 'Reviewer',
+      model: createMockModel({ respond }),
+      systemPrompt: 'You review pull requests',
+      output: { schema: verdictSchema }
+    });
+
+    const response = await agent.run('Review this change');
+
+    expect(response).toBe('{"verdict":"approve","score":8}');
+    expect(agent.parseResponse?.(response)).toEqual({ verdict: 'approve', score: 8 });
+    const [request] = respond.mock.calls[0] as [MockModelRequest];
+    expect(request.system).toMatch(/^You review pull requests\n\nRespond only with JSON/);
+    expect(request.system).toContain(JSON.stringify(verdictSchema));
+  });
+
+  it('should repair JSON wrapped in prose or code fences without asking again', async () => {
+    const respond = scripted('Here you go:\n```json\n{"verdict": "reject", "score": 2}\n```');
+    const agent = new LLMAgent({ agentName: 'Reviewer', model: createMockModel({ respond }), output: { schema: verdictSchema } });
+
+    await expect(agent.run('task')).resolves.toBe('{"verdict":"reject","score":2}');
+    expect(respond).toHaveBeenCalledTimes(1);
+  });
+
+  it('should send invalid output back to the model with the reason', async () => {
+    const respond = scripted('{"verdict": "maybe", "score": 5}', '{"verdict": "approve", "score": 5}');
+    const agent = new LLMAgent({ agentName: 'Reviewer', model: createMockModel({ respond }), output: { schema: verdictSchema } });
+
+    await expect(agent.run('task')).resolves.toBe('{"verdict":"approve","score":5}');
+    expect(respond).toHaveBeenCalledTimes(2);
+    expect(respond.mock.calls[1]?.[0].prompt)
+      .toBe('That response is invalid: $.verdict must be one of "approve", "reject"\nReply with the corrected JSON only.');
+  });
+
+  it('should reject with a ValidationError once the repair attempts run out', async () => {
+    const respond = scripted('not json', '{"verdict": "approve"}', '{"score": 1}');
+    const agent = new LLMAgent({
+      agentName: 'Reviewer',
+      model: createMockModel({ respond }),
+      output: { schema: verdictSchema, repairAttempts: 1 }
+    });
+
+    const error = await agent.run('task').catch(error => error);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error).toMatchObject({ target: 'result', message: 'Result failed validation: $.score is required' });
+    expect(respond).toHaveBeenCalledTimes(2);
+  });
+
+  it('should validate with a zod schema, showing the model its JSON Schema', async () => {
+    const respond = scripted('{"city": "Paris", "population": 2100000}');
+    const agent = new LLMAgent({
+      agentName: 'Geographer',
+      model: createMockModel({ respond }),
+      output: { schema: z.object({ city: z.string(), population: z.number().int().transform(n => n / 1e6) }) }
+    });
+
+    const response = await agent.run('Largest city in France?');
+
+    expect(response).toBe('{"city":"Paris","population":2100000}');
+    expect(agent.parseResponse?.(response)).toEqual({ city: 'Paris', population: 2.1 });
+    expect(respond.mock.calls[0]?.[0].system).toContain('"required":["city","population"]');
+  });
+
+  it('should record the parsed output in the conversation history', async () => {
+    const planner = new LLMAgent({
+      agentName: 'Planner',
+      model: createMockModel({ respond: () => '{"steps": ["research", "write"]}' }),
+      output: { schema: { type: 'object', properties: { steps: { type: 'array', items: { type: 'string' } } } } }
+    });
+    const writer = new LLMAgent({ agentName: 'Writer', model: createMockModel({ respond: () => 'done' }) });
+
+    const history = await oneToOne(withCircuitBreaker(planner), writer, 'Plan an article', 1, { logger: silentLogger });
+
+    expect(history.history[0]).toMatchObject({
+      agentName: 'Planner',
+      response: '{"steps":["research","write"]}',
+      output: { steps: ['research', 'write'] }
+    });
+    expect(history.history[1]).toMatchObject({ agentName: 'Writer', response: 'done' });
+    expect(history.history[1]).not.toHaveProperty('output');
+  });
+
+  it('should fail the attempt when a structured response does not parse', async () => {
+    const center = { agentName: 'Center', run: async () => 'plain text', parseResponse: (response: string) => JSON.parse(response) };
+
+    const edge = { agentName: 'Edge', run: jest.fn(async () => 'edge') };
+
+    await expect(starSwarm([center, edge], ['task'], true, { logger: silentLogger })).rejects.toThrow('Unexpected token');
+    expect(edge.run).not.toHaveBeenCalled();
+  });
+
+  it('should validate its output options', () => {
+    const model = createMockModel();
+    expect(() => new LLMAgent({ agentName: 'Agent', model, output: {} as any })).toThrow('output.schema');
+    expect(() => new LLMAgent({ agentName: 'Agent', model, output: { schema: {}, repairAttempts: -1 } }))
+      .toThrow('output.repairAttempts');
+  });
+});
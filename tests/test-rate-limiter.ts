@@ -0,0 +1,119 @@
+import { RateLimiter, withRateLimit } from '../swarms/rate_limiter';
+import { broadcast } from '../swarms/swarm_architectures';
+import { silentLogger } from '../swarms/logger';
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should let a burst through and make later calls wait for refill', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 2 });
+    const granted: number[] = [];
+
+    const calls = [0, 1, 2].map(i => limiter.acquire().then(() => granted.push(i)));
+    await jest.advanceTimersByTimeAsync(0);
+    expect(granted).toEqual([0, 1]);
+    expect(limiter.getStats().waiting).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(30000);
+    await Promise.all(calls);
+    expect(granted).toEqual([0, 1, 2]);
+  });
+
+  it('should keep separate buckets per key', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1 });
+
+    await limiter.acquire('openai');
+    await limiter.acquire('anthropic');
+    expect(limiter.getStats('openai').requestsAvailable).toBeCloseTo(0);
+    expect(limiter.getStats('other').requestsAvailable).toBe(1);
+  });
+
+  it('should wait for token capacity and charge recorded usage', async () => {
+    const limiter = new RateLimiter({ tokensPerMinute: 100 });
+    let granted = false;
+
+    await limiter.acquire('default', { tokens: 60 });
+    limiter.recordUsage('default', 40);
+    expect(limiter.getStats().tokensAvailable).toBeCloseTo(0);
+
+    const pending = limiter.acquire('default', { tokens: 50 }).then(() => { granted = true; });
+    await jest.advanceTimersByTimeAsync(29000);
+    expect(granted).toBe(false);
+    await jest.advanceTimersByTimeAsync(1000);
+    await pending;
+    expect(granted).toBe(true);
+  });
+
+  it('should reject requests that can never fit or whose signal aborts', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1, tokensPerMinute: 10 });
+    await expect(limiter.acquire('default', { tokens: 11 })).rejects.toThrow('limit is 10 per minute');
+
+    await limiter.acquire();
+    const controller = new AbortController();
+    const pending = limiter.acquire('default', { signal: controller.signal });
+    controller.abort(new Error('Stopped'));
+    await expect(pending).rejects.toThrow('Stopped');
+  });
+
+  it('should stop waiting at once when aborted behind another caller and let later callers through', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1 });
+    const granted: string[] = [];
+    await limiter.acquire();
+
+    const first = limiter.acquire().then(() => granted.push('first'));
+    const controller = new AbortController();
+    const aborted = limiter.acquire('default', { signal: controller.signal });
+    const last = limiter.acquire().then(() => granted.push('last'));
+    controller.abort(new Error('Stopped'));
+    await expect(aborted).rejects.toThrow('Stopped');
+    expect(limiter.getStats().waiting).toBe(2);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    await first;
+    expect(granted).toEqual(['first']);
+    await jest.advanceTimersByTimeAsync(60000);
+    await last;
+    expect(granted).toEqual(['first', 'last']);
+  });
+
+  it('should validate its options', () => {
+    expect(() => new RateLimiter({})).toThrow();
+    expect(() => new RateLimiter({ requestsPerMinute: 0 })).toThrow();
+  });
+
+  it('should throttle agents wrapped with withRateLimit', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 1 });
+    const run = jest.fn(async (task: string) => `done: ${task}`);
+    const agent = withRateLimit({ agentName: 'Agent', run }, limiter);
+
+    await agent.run('first');
+    const second = agent.run('second');
+    await jest.advanceTimersByTimeAsync(0);
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(limiter.getStats('Agent').waiting).toBe(1);
+
+    await jest.advanceTimersByTimeAsync(60000);
+    await expect(second).resolves.toBe('done: second');
+  });
+
+  it('should throttle every agent call of a swarm', async () => {
+    const limiter = new RateLimiter({ requestsPerMinute: 2 });
+    const createAgent = (name: string) => ({ agentName: name, run: jest.fn(async (task: string) => `${name}: ${task}`) });
+    const receivers = [createAgent('R1'), createAgent('R2')];
+
+    const result = broadcast(createAgent('Sender'), receivers, 'task', { rateLimiter: limiter, logger: silentLogger });
+    await jest.advanceTimersByTimeAsync(0);
+    // The sender and one receiver use up the burst; the other receiver waits for a refill
+    expect(receivers.filter(receiver => receiver.run.mock.calls.length === 1)).toHaveLength(1);
+
+    await jest.advanceTimersByTimeAsync(30000);
+    const history = await result;
+    expect(history.history).toHaveLength(3);
+  });
+});
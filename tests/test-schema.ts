@@ -0,0 +1,90 @@
+import { jsonSchemaValidator, validate } from '../swarms/schema';
+import { ValidationError } from '../swarms/errors';
+
+describe('jsonSchemaValidator', () => {
+  const order = jsonSchemaValidator({
+    type: 'object',
+    properties: {
+      id: { type: 'integer', minimum: 1 },
+      status: { enum: ['open', 'closed'] },
+      note: { type: ['string', 'null'], maxLength: 10 },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          properties: { name: { type: 'string', pattern: '^[a-z]+$' }, price: { type: 'number' } },
+          required: ['name', 'price'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['id', 'items']
+  });
+
+  it('should accept values matching the schema', () => {
+    const value = { id: 1, status: 'open', note: null, items: [{ name: 'tea', price: 2.5 }], extra: true };
+    expect(order.parse(value)).toBe(value);
+  });
+
+  it.each([
+    [{ items: [] }, '$.id is required'],
+    [{ id: 1.5, items: [] }, '$.id must be of type integer'],
+    [{ id: 0, items: [] }, '$.id must be at least 1'],
+    [{ id: 1, status: 'lost', items: [] }, '$.status must be one of "open", "closed"'],
+    [{ id: 1, note: 'far too long', items: [] }, '$.note must be at most 10 characters long'],
+    [{ id: 1, items: [] }, '$.items must have at least 1 items'],
+    [{ id: 1, items: [{ name: 'tea', price: '2' }] }, '$.items[0].price must be of type number'],
+    [{ id: 1, items: [{ name: 'Tea', price: 2 }] }, '$.items[0].name must match the pattern ^[a-z]+$'],
+    [{ id: 1, items: [{ name: 'tea', price: 2, size: 'l' }] }, '$.items[0].size is not allowed'],
+    [[], '$ must be of type object']
+  ])('should name the first violation of %j', (value, message) => {
+    expect(() => order.parse(value)).toThrow(message);
+  });
+
+  it('should check const, anyOf and additionalProperties schemas', () => {
+    const schema = jsonSchemaValidator({
+      anyOf: [{ const: 'none' }, { type: 'object', additionalProperties: { type: 'number' } }]
+    });
+
+    expect(schema.parse('none')).toBe('none');
+    expect(schema.parse({ a: 1, b: 2 })).toEqual({ a: 1, b: 2 });
+    expect(() => schema.parse({ a: 'one' })).toThrow('$ must match one of the anyOf schemas');
+  });
+
+  it('should report violations as ValidationErrors through validate', () => {
+    const error = (() => {
+      try {
+        return validate(order, { id: 1 }, 'result');
+      } catch (error) {
+        return error;
+      }
+    })();
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error).toMatchObject({ target: 'result', message: 'Result failed validation: $.items is required' });
+  });
+
+  it('should only count own properties as present', () => {
+    const schema = jsonSchemaValidator({ type: 'object', required: ['constructor', 'toString'] });
+
+    expect(() => schema.parse({})).toThrow('$.constructor is required');
+    expect(schema.parse({ constructor: 1, toString: 2 })).toEqual({ constructor: 1, toString: 2 });
+  });
+
+  it('should reject schemas that are not objects', () => {
+    expect(() => jsonSchemaValidator('string' as any)).toThrow('JSON Schema must be an object');
+  });
+
+  it('should reject schemas using keywords it does not check', () => {
+    expect(() => jsonSchemaValidator({
+      properties: { n: { type: 'number', exclusiveMinimum: 0 } },
+      allOf: [{ required: ['x'] }]
+    })).toThrow('JSON Schema keyword allOf at $ is not supported');
+    expect(() => jsonSchemaValidator({ properties: { n: { type: 'number', exclusiveMinimum: 0 } } }))
+      .toThrow('JSON Schema keyword exclusiveMinimum at $.properties.n is not supported');
+    expect(() => jsonSchemaValidator({ type: 'array', items: { $ref: '#/definitions/step' } }))
+      .toThrow('JSON Schema keyword $ref at $.items is not supported');
+    expect(() => jsonSchemaValidator({ title: 'Plan', type: 'string', description: 'A plan' })).not.toThrow();
+  });
+});
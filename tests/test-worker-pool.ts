@@ -0,0 +1,152 @@
+import path from 'path';
+import WorkerPool from '../swarms/worker_pool';
+import { WorkerCrashError } from '../swarms/errors';
+
+const echoAgentPath = path.join(__dirname, 'fixtures', 'echo-agent.js');
+const crashAgentPath = path.join(__dirname, 'fixtures', 'crash-agent.js');
+const sleepAgentPath = path.join(__dirname, 'fixtures', 'sleep-agent.js');
+const oomAgentPath = path.join(__dirname, 'fixtures', 'oom-agent.js');
+const streamAgentPath = path.join(__dirname, 'fixtures', 'stream-agent.js');
+const lifecycleAgentPath = path.join(__dirname, 'fixtures', 'lifecycle-agent.js');
+
+describe('WorkerPool', () => {
+  let pool: WorkerPool;
+
+  afterEach(async () => {
+    await pool.destroy();
+  });
+
+  it('should reuse workers across jobs', async () => {
+    pool = new WorkerPool({ size: 2 });
+    const results = await Promise.all(
+      Array.from({ length: 6 }, (_, i) => pool.run({ modulePath: echoAgentPath, task: `task${i}` }))
+    );
+
+    expect(results).toEqual(Array.from({ length: 6 }, (_, i) => `echo: task${i}`));
+    expect(pool.getStats()).toEqual({ size: 2, idle: 2, busy: 0, queued: 0, recycled: 0 });
+  });
+
+  it('should report busy and queued jobs', async () => {
+    pool = new WorkerPool({ size: 1 });
+    const jobs = [
+      pool.run({ modulePath: echoAgentPath, task: 'a' }),
+      pool.run({ modulePath: echoAgentPath, task: 'b' })
+    ];
+
+    expect(pool.getStats()).toMatchObject({ busy: 1, queued: 1 });
+    await Promise.all(jobs);
+    expect(pool.getStats()).toMatchObject({ idle: 1, busy: 0, queued: 0 });
+  });
+
+  it('should recycle workers after maxTasksPerWorker jobs', async () => {
+    pool = new WorkerPool({ size: 1, maxTasksPerWorker: 2 });
+    for (let i = 0; i < 4; i++) {
+      await pool.run({ modulePath: echoAgentPath, task: `task${i}` });
+    }
+
+    expect(pool.getStats().recycled).toBe(2);
+  });
+
+  it('should keep agents across jobs and dispose them when recycling the worker', async () => {
+    const onDisposeError = jest.fn();
+    pool = new WorkerPool({ size: 1, maxTasksPerWorker: 2, onDisposeError });
+    const job = { modulePath: lifecycleAgentPath, args: ['bad-dispose'], task: 'task' };
+
+    await expect(pool.run(job)).resolves.toBe('ready: bad-dispose (init 1, run 1)');
+    await expect(pool.run(job)).resolves.toBe('ready: bad-dispose (init 1, run 2)');
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    expect(onDisposeError).toHaveBeenCalledWith(
+      expect.objectContaining({ phase: 'dispose', message: 'Agent failed to dispose: Could not disconnect' }),
+      { modulePath: lifecycleAgentPath, args: ['bad-dispose'] }
+    );
+    await expect(pool.run(job)).resolves.toBe('ready: bad-dispose (init 1, run 1)');
+  });
+
+  it('should replace crashed workers and keep serving jobs', async () => {
+    pool = new WorkerPool({ size: 1 });
+
+    await expect(pool.run({ modulePath: crashAgentPath, task: 'task' }))
+      .rejects.toThrow('Worker stopped with exit code 1');
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'task' }))
+      .resolves.toBe('echo: task');
+    expect(pool.getStats().recycled).toBe(1);
+  });
+
+  it('should classify abnormal exits', async () => {
+    pool = new WorkerPool({ size: 1 });
+
+    const error = await pool.run({ modulePath: crashAgentPath, task: 'task' }).catch(error => error);
+    expect(error).toBeInstanceOf(WorkerCrashError);
+    expect(error).toMatchObject({ reason: 'exit', exitCode: 1 });
+  });
+
+  it('should kill workers that exceed their resource limits', async () => {
+    pool = new WorkerPool({ size: 1, resourceLimits: { maxOldGenerationSizeMb: 32, maxYoungGenerationSizeMb: 8 } });
+
+    const error = await pool.run({ modulePath: oomAgentPath, task: 'task' }).catch(error => error);
+    expect(error).toBeInstanceOf(WorkerCrashError);
+    expect(error).toMatchObject({ reason: 'out-of-memory', message: 'Worker ran out of memory' });
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'task' })).resolves.toBe('echo: task');
+  });
+
+  it('should run jobs in forked child processes in process mode', async () => {
+    pool = new WorkerPool({ size: 1, mode: 'process' });
+
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'task' })).resolves.toBe('echo: task');
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'fail' })).rejects.toThrow('Echo agent failed');
+
+    const error = await pool.run({ modulePath: crashAgentPath, task: 'task' }).catch(error => error);
+    expect(error).toMatchObject({ name: 'WorkerCrashError', reason: 'exit', exitCode: 1 });
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'again' })).resolves.toBe('echo: again');
+    expect(pool.getStats()).toMatchObject({ idle: 1, busy: 0, recycled: 1 });
+  });
+
+  it('should forward partial results before the job settles', async () => {
+    pool = new WorkerPool({ size: 1 });
+    const chunks: unknown[] = [];
+
+    const result = await pool.run({ modulePath: streamAgentPath, task: 'one two' }, undefined, {
+      onPartial: chunk => chunks.push(chunk)
+    });
+
+    expect(result).toBe(2);
+    expect(chunks).toEqual(['one', 'two']);
+  });
+
+  it('should keep the worker alive when an agent rejects', async () => {
+    pool = new WorkerPool({ size: 1 });
+
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'fail' }))
+      .rejects.toThrow('Echo agent failed');
+    expect(pool.getStats()).toMatchObject({ idle: 1, recycled: 0 });
+  });
+
+  it('should terminate the worker of an aborted job', async () => {
+    pool = new WorkerPool({ size: 1 });
+    const controller = new AbortController();
+    const job = pool.run({ modulePath: sleepAgentPath, args: ['task', 5000], task: 'task' }, controller.signal);
+    const queued = pool.run({ modulePath: echoAgentPath, task: 'queued' }, controller.signal);
+
+    controller.abort(new Error('Stop'));
+
+    await expect(job).rejects.toThrow('Stop');
+    await expect(queued).rejects.toThrow('Stop');
+    expect(pool.getStats()).toMatchObject({ busy: 0, queued: 0, recycled: 1 });
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'next' })).resolves.toBe('echo: next');
+  });
+
+  it('should reject jobs after being destroyed', async () => {
+    pool = new WorkerPool({ size: 1 });
+    await pool.destroy();
+
+    await expect(pool.run({ modulePath: echoAgentPath, task: 'task' }))
+      .rejects.toThrow('Worker pool has been destroyed');
+  });
+
+  it('should validate its options', () => {
+    pool = new WorkerPool({ size: 1 });
+    expect(() => new WorkerPool({ size: 0 })).toThrow();
+    expect(() => new WorkerPool({ size: 1, maxTasksPerWorker: 0 })).toThrow();
+  });
+});